@@ -1,51 +1,168 @@
 const { BetaAnalyticsDataClient } = require('@google-analytics/data');
 const { google } = require('googleapis');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 
-// ─── GA4 Client (cached per cold start) ──────────────────────────────────────
-let _ga4Client = null;
+// ─── Site-Registry ────────────────────────────────────────────────────────────
+// SITES_JSON: { "<id>": { wpUrl, wpUser, wpAppPass, ga4PropertyId, gscSiteUrl, … } }
+// Without SITES_JSON there is one site "goldesel" built from WP_URL, WP_USER,
+// WP_APP_PASS and GA4_PROPERTY_ID. DEFAULT_SITE picks the site used when a
+// request has no ?site= parameter.
+const GOLDESEL_SITE = {
+  name: 'Goldesel',
+  label: 'Goldesel.de',
+  description: 'eine deutsche Trading-Plattform',
+  assistPrompt: 'Du bist ein erfahrener Finanzredakteur bei goldesel.de, einem deutschen Finanz- und Trading-Portal. Antworte auf Deutsch. Sei präzise und professionell.',
+  aiContext: 'Goldesel ist eine Trading-Plattform mit Free- und Premium-Modell. Content soll informieren UND konvertieren.',
+  gscSiteUrl: 'https://goldesel.de/',
+  legacyHosts: ['goldeselblog.de'],
+  articleSections: ['news', 'artikel'],
+  newsPath: '/news/',
+  gscSections: {
+    news: { include: '/news/', excludeRegex: '^https://goldesel\\.de/aktien/news/' },
+    aktienNews: { include: '/aktien/news/' },
+  },
+  topstoryCategoryId: 234,
+  newsDeleteUrl: 'https://services.goldesel.de/api/Connection/DeleteNews',
+  newsDeleteApiKeyEnv: 'X_News_Delete_Api_Key',
+};
+
+function normalizeSite(id, cfg) {
+  if (!cfg.wpUrl) throw new Error(`Site "${id}": wpUrl not set`);
+  const host = new URL(cfg.wpUrl).hostname.replace(/^www\./, '');
+  const legacyHosts = cfg.legacyHosts || [];
+  return {
+    id,
+    name: cfg.name || id,
+    label: cfg.label || host,
+    description: cfg.description || 'ein deutsches Online-Portal',
+    assistPrompt: cfg.assistPrompt || `Du bist ein erfahrener Redakteur bei ${host}. Antworte auf Deutsch. Sei präzise und professionell.`,
+    aiContext: cfg.aiContext || '',
+    wpUrl: cfg.wpUrl.replace(/\/$/, ''),
+    wpUser: cfg.wpUser,
+    wpAppPass: cfg.wpAppPass,
+    ga4PropertyId: cfg.ga4PropertyId,
+    serviceAccountJson: cfg.serviceAccountJson || process.env.GA4_SERVICE_ACCOUNT_JSON,
+    gscSiteUrl: cfg.gscSiteUrl || null,
+    host,
+    legacyHosts,
+    // Every host a link or GA4 path of this site can carry
+    hosts: [host, ...legacyHosts].flatMap(h => [h, `www.${h}`]),
+    brand: (cfg.brand || cfg.name || id).toLowerCase(),
+    articleSections: cfg.articleSections || ['news'],
+    newsPath: cfg.newsPath || '/news/',
+    gscSections: cfg.gscSections || {},
+    topstoryCategoryId: cfg.topstoryCategoryId || null,
+    timezone: cfg.timezone || 'Europe/Berlin',
+    newsDeleteUrl: cfg.newsDeleteUrl || null,
+    newsDeleteApiKey: cfg.newsDeleteApiKeyEnv ? process.env[cfg.newsDeleteApiKeyEnv] : cfg.newsDeleteApiKey,
+  };
+}
+
+let _sites = null;
+function getSites() {
+  if (_sites) return _sites;
+  const raw = process.env.SITES_JSON;
+  const configs = raw
+    ? JSON.parse(raw)
+    : {
+      goldesel: {
+        ...GOLDESEL_SITE,
+        wpUrl: process.env.WP_URL || 'https://goldesel.de',
+        wpUser: process.env.WP_USER,
+        wpAppPass: process.env.WP_APP_PASS,
+        ga4PropertyId: process.env.GA4_PROPERTY_ID,
+        // Extra/overridden Search Console presets, e.g. {"ratgeber":{"include":"/ratgeber/"}}
+        gscSections: { ...GOLDESEL_SITE.gscSections, ...JSON.parse(process.env.GSC_SECTIONS_JSON || '{}') },
+      },
+    };
+  _sites = {};
+  Object.entries(configs).forEach(([id, cfg]) => {
+    // "goldesel" in SITES_JSON inherits the built-in Goldesel settings
+    _sites[id] = normalizeSite(id, id === 'goldesel' ? { ...GOLDESEL_SITE, ...cfg } : cfg);
+  });
+  return _sites;
+}
+
+function getSite(id) {
+  const sites = getSites();
+  const siteId = id || process.env.DEFAULT_SITE || Object.keys(sites)[0];
+  if (!sites[siteId]) throw httpError(400, `Unknown site "${siteId}". Available: ${Object.keys(sites).join(', ')}`);
+  return sites[siteId];
+}
+
+// The handler runs every request inside siteContext, so helpers deep down
+// (wpFetch, GA4 reports, link rewriting) see the requested site
+const siteContext = new AsyncLocalStorage();
+const currentSite = () => siteContext.getStore() || getSite();
+
+// Links from legacy domains (goldeselblog.de) → canonical host
+function canonicalUrl(link) {
+  const site = currentSite();
+  let url = link || '';
+  site.legacyHosts.forEach(h => { url = url.replace(h, site.host); });
+  return url;
+}
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// href="https://<one of the site hosts>…"
+const internalHrefPattern = () => currentSite().hosts.map(escapeRegex).join('|');
+
+// ─── GA4 Client (cached per site and cold start) ─────────────────────────────
+const _ga4Clients = new Map();
 function getGA4Client() {
-  if (_ga4Client) return _ga4Client;
-  const keyJson = process.env.GA4_SERVICE_ACCOUNT_JSON;
+  const site = currentSite();
+  if (_ga4Clients.has(site.id)) return _ga4Clients.get(site.id);
+  if (!site.ga4PropertyId) throw new Error(`GA4 property not set for site "${site.id}" (GA4_PROPERTY_ID)`);
+  const keyJson = site.serviceAccountJson;
   if (!keyJson) throw new Error('GA4_SERVICE_ACCOUNT_JSON not set');
   const credentials = JSON.parse(keyJson);
-  _ga4Client = new BetaAnalyticsDataClient({ credentials });
-  return _ga4Client;
+  const client = new BetaAnalyticsDataClient({ credentials });
+  _ga4Clients.set(site.id, client);
+  return client;
 }
 
-// ─── Search Console Client (cached per cold start) ───────────────────────────
-let _gscClient = null;
+// ─── Search Console Client (cached per site and cold start) ──────────────────
+const _gscClients = new Map();
 function getSearchConsoleClient() {
-  if (_gscClient) return _gscClient;
-  const keyJson = process.env.GA4_SERVICE_ACCOUNT_JSON;
+  const site = currentSite();
+  if (_gscClients.has(site.id)) return _gscClients.get(site.id);
+  if (!site.gscSiteUrl) throw new Error(`Search Console site URL not set for site "${site.id}"`);
+  const keyJson = site.serviceAccountJson;
   if (!keyJson) throw new Error('GA4_SERVICE_ACCOUNT_JSON not set');
   const credentials = JSON.parse(keyJson);
   const auth = new google.auth.GoogleAuth({
     credentials,
     scopes: ['https://www.googleapis.com/auth/webmasters.readonly'],
   });
-  _gscClient = google.searchconsole({ version: 'v1', auth });
-  return _gscClient;
+  const client = google.searchconsole({ version: 'v1', auth });
+  _gscClients.set(site.id, client);
+  return client;
 }
 
-const GSC_SITE = 'https://goldesel.de/';
-const propertyId = process.env.GA4_PROPERTY_ID;
-const TOPSTORY_CATEGORY_ID = 234;
-
 // ─── Batch: combine multiple actions in one serverless call ──────
-async function batch(actions, range = '30daysAgo') {
-  const results = {};
+// Each sub-action goes through the response cache; its metadata lands in results._cache
+// params: the request query (range/start/end/compare are passed on to every sub-action)
+async function batch(actions, params = {}, { fresh = false } = {}) {
+  const results = { _cache: {} };
+  const run = async (action, fn) => {
+    const { data, cache } = await cached(action, params, fn, { fresh });
+    results[action] = data;
+    if (cache) results._cache[action] = cache;
+  };
   const promises = actions.map(async (action) => {
     try {
       switch (action) {
-        case 'kpis': results.kpis = await kpis(range); break;
-        case 'top5': results.top5 = await top5(range); break;
-        case 'sources': results.sources = await sources(range); break;
-        case 'monthlyStats': results.monthlyStats = await monthlyStats(); break;
-        case 'newArticles': results.newArticles = await newArticlesThisMonth(); break;
-        case 'dailyPageviews': results.dailyPageviews = await dailyPageviews(range); break;
-        case 'reviewCandidates': results.reviewCandidates = await reviewCandidates(); break;
-        case 'contentAnalysis': results.contentAnalysis = await contentAnalysis(); break;
-        case 'contentAttribution': results.contentAttribution = await contentAttribution(); break;
+        case 'kpis': await run(action, () => kpis(params)); break;
+        case 'top5': await run(action, () => top5(params)); break;
+        case 'sources': await run(action, () => sources(params)); break;
+        case 'monthlyStats': await run(action, () => monthlyStats(params)); break;
+        case 'newArticles': await run(action, () => newArticlesThisMonth(params)); break;
+        case 'dailyPageviews': await run(action, () => dailyPageviews(params)); break;
+        case 'reviewCandidates': await run(action, () => reviewCandidates()); break;
+        case 'contentAnalysis': await run(action, () => contentAnalysis(params)); break;
+        case 'contentAttribution': await run(action, () => contentAttribution(params)); break;
+        case 'authorStats': await run(action, () => authorStats(params)); break;
       }
     } catch (err) {
       results[action] = { _error: err.message };
@@ -57,9 +174,7 @@ async function batch(actions, range = '30daysAgo') {
 
 // ─── WordPress Helper ─────────────────────────────────────────────────────────
 async function wpFetch(path) {
-  const base = process.env.WP_URL;
-  const user = process.env.WP_USER;
-  const pass = process.env.WP_APP_PASS;
+  const { wpUrl: base, wpUser: user, wpAppPass: pass } = currentSite();
   const auth = Buffer.from(`${user}:${pass}`).toString('base64');
   const res = await fetch(`${base}/wp-json/wp/v2/${path}`, {
     headers: { Authorization: `Basic ${auth}` },
@@ -68,6 +183,72 @@ async function wpFetch(path) {
   return res.json();
 }
 
+// POST to a WP REST route (create / update) → response JSON
+async function wpWrite(path, payload) {
+  const { wpUrl: base, wpUser: user, wpAppPass: pass } = currentSite();
+  const auth = Buffer.from(`${user}:${pass}`).toString('base64');
+  const res = await fetch(`${base}/wp-json/wp/v2/${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Basic ${auth}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  if (!res.ok) {
+    const err = await res.text();
+    throw new Error(`WP update failed (${res.status}): ${err.substring(0, 300)}`);
+  }
+  return res.json();
+}
+
+// One page of a WP collection → { items, totalPages }
+async function wpFetchPage(path, page, perPage = 100) {
+  const { wpUrl: base, wpUser: user, wpAppPass: pass } = currentSite();
+  const auth = Buffer.from(`${user}:${pass}`).toString('base64');
+  const sep = path.includes('?') ? '&' : '?';
+  const res = await fetch(`${base}/wp-json/wp/v2/${path}${sep}per_page=${perPage}&page=${page}`, {
+    headers: { Authorization: `Basic ${auth}` },
+  });
+  if (!res.ok) throw new Error(`WP error: ${res.status}`);
+  const items = await res.json();
+  const totalPages = items.length < perPage ? page : (parseInt(res.headers.get('x-wp-totalpages')) || page);
+  return { items, totalPages };
+}
+
+// Pages through a WP collection (100 per page) until maxItems or the last page
+async function wpFetchAll(path, maxItems = 1000) {
+  const perPage = Math.min(100, maxItems);
+  const items = [];
+  for (let page = 1; items.length < maxItems; page++) {
+    const { items: batch, totalPages } = await wpFetchPage(path, page, perPage);
+    items.push(...batch);
+    if (page >= totalPages) break;
+  }
+  return items.slice(0, maxItems);
+}
+
+// Fetches taxonomy terms / users by id, 100 ids per request → { id: item }
+async function wpFetchByIds(endpoint, ids, fields = 'id,name,slug') {
+  const unique = [...new Set(ids)].filter(Boolean);
+  const map = {};
+  for (let i = 0; i < unique.length; i += 100) {
+    const chunk = unique.slice(i, i + 100);
+    const items = await wpFetch(`${endpoint}?include=${chunk.join(',')}&per_page=100&_fields=${fields}`);
+    items.forEach(item => { map[item.id] = item; });
+  }
+  return map;
+}
+
+// Fetches published posts by slug, 100 slugs per request → { [slugKey]: post }
+async function wpFetchPostsBySlugs(slugs, fields = 'id,title,link,slug,date') {
+  const unique = [...new Set(slugs.map(slugKey))].filter(Boolean);
+  const map = {};
+  for (let i = 0; i < unique.length; i += 100) {
+    const chunk = unique.slice(i, i + 100).map(encodeURIComponent).join(',');
+    const items = await wpFetch(`posts?slug=${chunk}&status=publish&per_page=100&_fields=${fields}`);
+    items.forEach(item => { map[slugKey(item.slug)] = item; });
+  }
+  return map;
+}
+
 // ─── Yoast Focus Keyword Helper ──────────────────────────────────────────────
 // WP REST API doesn't expose Yoast meta by default. We try multiple strategies:
 // 1. meta._yoast_wpseo_focuskw (if site has REST meta registration)
@@ -116,22 +297,21 @@ function extractYoastFromMeta(post) {
 */
 async function fetchYoastFocusKeywords(postIds) {
   if (!postIds.length) return {};
-  const base = process.env.WP_URL;
-  const user = process.env.WP_USER;
-  const pass = process.env.WP_APP_PASS;
+  const { wpUrl: base, wpUser: user, wpAppPass: pass } = currentSite();
   const auth = Buffer.from(`${user}:${pass}`).toString('base64');
   
   // Try fetching with the custom yoast_focuskw field (requires snippet above)
   const results = {};
   
   try {
-    // Fetch posts with include filter — checks if yoast_focuskw field is available
-    const ids = postIds.slice(0, 30).join(',');
-    const res = await fetch(
-      `${base}/wp-json/wp/v2/posts?include=${ids}&_fields=id,yoast_focuskw,meta&per_page=30`,
-      { headers: { Authorization: `Basic ${auth}` } }
-    );
-    if (res.ok) {
+    // Fetch posts with include filter (30 per request) — checks if yoast_focuskw field is available
+    for (let i = 0; i < postIds.length; i += 30) {
+      const ids = postIds.slice(i, i + 30).join(',');
+      const res = await fetch(
+        `${base}/wp-json/wp/v2/posts?include=${ids}&_fields=id,yoast_focuskw,meta&per_page=30`,
+        { headers: { Authorization: `Basic ${auth}` } }
+      );
+      if (!res.ok) break;
       const posts = await res.json();
       for (const p of posts) {
         // Custom field from snippet
@@ -152,30 +332,108 @@ async function fetchYoastFocusKeywords(postIds) {
 }
 
 // ─── Datum-Helper ─────────────────────────────────────────────────────────────
-function resolveDate(d) {
-  if (d === 'today') return new Date();
-  const match = d.match(/^(\d+)daysAgo$/);
-  if (match) {
-    const date = new Date();
-    date.setDate(date.getDate() - parseInt(match[1]));
-    return date;
+// One resolver for every analytics action. Accepted query params:
+//   range=NdaysAgo | today | yesterday | thisMonth | lastMonth | YYYY-MM-DD
+//   start=YYYY-MM-DD&end=YYYY-MM-DD   (overrides range, end defaults to today)
+//   compare=previous | yoy | custom | none   (custom needs compareStart + compareEnd)
+// "previous" is the equally long period right before start; for the calendar
+// presets thisMonth/lastMonth it is the full previous calendar month.
+// All dates are calendar days in UTC (Vercel runs in UTC).
+const DAY_MS = 24 * 60 * 60 * 1000;
+const fmtDate = (d) => (d instanceof Date ? d : new Date(d)).toISOString().split('T')[0];
+const addDays = (d, n) => new Date(d.getTime() + n * DAY_MS);
+const daysBetween = (start, end) => Math.round((end - start) / DAY_MS) + 1;
+const shiftYear = (d, n) => new Date(Date.UTC(d.getUTCFullYear() + n, d.getUTCMonth(), d.getUTCDate()));
+
+function parseIsoDate(value, name = 'date') {
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const d = m && new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  if (!d || fmtDate(d) !== value) throw httpError(400, `${name} must be an ISO date (YYYY-MM-DD), got "${value}"`);
+  return d;
+}
+
+const utcToday = () => parseIsoDate(fmtDate(new Date()), 'today');
+
+function rangeFromPreset(preset, today) {
+  const y = today.getUTCFullYear(), m = today.getUTCMonth();
+  switch (preset) {
+    case 'today': return { start: today, end: today };
+    case 'yesterday': return { start: addDays(today, -1), end: addDays(today, -1) };
+    case 'thisMonth': return { start: new Date(Date.UTC(y, m, 1)), end: today, calendar: true };
+    case 'lastMonth': return { start: new Date(Date.UTC(y, m - 1, 1)), end: new Date(Date.UTC(y, m, 0)), calendar: true };
   }
-  return new Date(d);
+  const daysAgo = preset.match(/^(\d+)daysAgo$/);
+  if (daysAgo) return { start: addDays(today, -parseInt(daysAgo[1])), end: today };
+  return { start: parseIsoDate(preset, 'range'), end: today };
+}
+
+function resolveRange(params = {}, defaultRange = '30daysAgo', defaultCompare = 'previous') {
+  const today = utcToday();
+  if (params.end && !params.start) throw httpError(400, 'end requires start');
+  const { start, end, calendar } = params.start
+    ? { start: parseIsoDate(params.start, 'start'), end: params.end ? parseIsoDate(params.end, 'end') : today }
+    : rangeFromPreset(params.range || defaultRange, today);
+  if (start > end) throw httpError(400, 'start must not be after end');
+  const days = daysBetween(start, end);
+
+  const mode = params.compare || defaultCompare;
+  let cmpStart, cmpEnd;
+  if (mode === 'previous') {
+    if (calendar) {
+      cmpStart = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - 1, 1));
+      cmpEnd = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 0));
+    } else {
+      cmpEnd = addDays(start, -1);
+      cmpStart = addDays(cmpEnd, -(days - 1));
+    }
+  } else if (mode === 'yoy') {
+    cmpStart = shiftYear(start, -1);
+    cmpEnd = shiftYear(end, -1);
+  } else if (mode === 'custom') {
+    if (!params.compareStart || !params.compareEnd) throw httpError(400, 'compare=custom requires compareStart and compareEnd');
+    cmpStart = parseIsoDate(params.compareStart, 'compareStart');
+    cmpEnd = parseIsoDate(params.compareEnd, 'compareEnd');
+    if (cmpStart > cmpEnd) throw httpError(400, 'compareStart must not be after compareEnd');
+  } else if (mode !== 'none') {
+    throw httpError(400, `compare must be previous, yoy, custom or none, got "${mode}"`);
+  }
+
+  return {
+    startDate: fmtDate(start),
+    endDate: fmtDate(end),
+    days,
+    compare: cmpStart
+      ? { mode, startDate: fmtDate(cmpStart), endDate: fmtDate(cmpEnd), days: daysBetween(cmpStart, cmpEnd) }
+      : null,
+  };
+}
+
+// Tuning params of an action (thresholds, limits): every key of `defaults` may
+// be overridden by a positive number; keys in `integers` are rounded
+function numericOptions(params, defaults, integers = []) {
+  const opts = { ...defaults };
+  Object.keys(defaults).forEach(k => {
+    if (params[k] === undefined || params[k] === '') return;
+    opts[k] = parseFloat(params[k]);
+    if (!(opts[k] > 0)) throw httpError(400, `${k} must be a positive number`);
+  });
+  integers.forEach(k => { opts[k] = Math.round(opts[k]); });
+  return opts;
 }
-const fmtDate = (d) => (d instanceof Date ? d : new Date(d)).toISOString().split('T')[0];
 
 // ─── GA4: Views + Channel-Aufschlüsselung ────────────────────────────────────
 async function getViewsByChannel({ startDate, endDate }) {
   const client = getGA4Client();
   const [response] = await client.runReport({
-    property: propertyId,
+    property: currentSite().ga4PropertyId,
     dateRanges: [{ startDate, endDate }],
     dimensions: [
       { name: 'pagePath' },
       { name: 'sessionDefaultChannelGroup' },
     ],
     metrics: [{ name: 'screenPageViews' }],
-    limit: 10000,
+    orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+    limit: 100000,
   });
 
   const map = {};
@@ -190,82 +448,224 @@ async function getViewsByChannel({ startDate, endDate }) {
   return map;
 }
 
+// ─── GA4: Engagement + neue Nutzer pro Pfad ──────────────────────────────────
+async function getEngagementByPath({ startDate, endDate }) {
+  const client = getGA4Client();
+  const [response] = await client.runReport({
+    property: currentSite().ga4PropertyId,
+    dateRanges: [{ startDate, endDate }],
+    dimensions: [{ name: 'pagePath' }],
+    metrics: [
+      { name: 'newUsers' },
+      { name: 'userEngagementDuration' },
+      { name: 'sessions' },
+      { name: 'engagedSessions' },
+    ],
+    limit: 100000,
+  });
+
+  const map = {};
+  response.rows?.forEach(row => {
+    map[row.dimensionValues[0].value] = {
+      newUsers: parseInt(row.metricValues[0].value) || 0,
+      engagementSeconds: parseFloat(row.metricValues[1].value) || 0,
+      sessions: parseInt(row.metricValues[2].value) || 0,
+      engagedSessions: parseInt(row.metricValues[3].value) || 0,
+    };
+  });
+  return map;
+}
+
+// ─── GA4: Views pro Pfad und ISO-Woche ───────────────────────────────────────
+// → { path: { 'YYYY-MM-DD' (Monday of the ISO week): views } }
+async function getWeeklyViewsByPath({ startDate, endDate }) {
+  const client = getGA4Client();
+  const [response] = await client.runReport({
+    property: currentSite().ga4PropertyId,
+    dateRanges: [{ startDate, endDate }],
+    dimensions: [
+      { name: 'pagePath' },
+      { name: 'isoYearIsoWeek' },
+    ],
+    metrics: [{ name: 'screenPageViews' }],
+    limit: 100000,
+  });
+
+  const map = {};
+  response.rows?.forEach(row => {
+    const path = row.dimensionValues[0].value;
+    const week = fmtDate(isoWeekStart(row.dimensionValues[1].value));
+    const views = parseInt(row.metricValues[0].value);
+    if (!map[path]) map[path] = {};
+    map[path][week] = (map[path][week] || 0) + views;
+  });
+  return map;
+}
+
+// GA4 isoYearIsoWeek ("202603") → Monday of that ISO week (UTC)
+function isoWeekStart(isoYearWeek) {
+  const year = parseInt(isoYearWeek.slice(0, 4));
+  const week = parseInt(isoYearWeek.slice(4));
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const firstMonday = addDays(jan4, -((jan4.getUTCDay() + 6) % 7));
+  return addDays(firstMonday, (week - 1) * 7);
+}
+
+// ─── URL-Matching: GA4 pagePath ↔ WP Posts ──────────────────────────────────
+// GA4 tracks the same article under many paths (/news/slug/, /artikel/slug,
+// ?utm=…, /amp/, percent-encoded umlauts, full goldeselblog.de URLs). All of
+// them are normalised to a slug and merged per post. Hosts and article
+// sections come from the current site.
+
+// → '/news/slug/' style path (lowercase, decoded, no query/AMP, trailing slash) or null for foreign hosts
+function normalizePagePath(raw) {
+  let path = String(raw || '').trim();
+  const abs = path.match(/^(?:https?:)?\/\/([^/?#]+)(.*)$/i) || path.match(/^([a-z0-9.-]+\.[a-z]{2,})(\/.*)$/i);
+  if (abs) {
+    if (!currentSite().hosts.includes(abs[1].toLowerCase())) return null;
+    path = abs[2] || '/';
+  }
+  path = path.split(/[?#]/)[0];
+  try { path = decodeURIComponent(path); } catch { /* malformed escape — keep raw */ }
+  path = `/${path}/`.toLowerCase().replace(/\/{2,}/g, '/');
+  return path.replace(/^\/amp\//, '/').replace(/\/amp\/$/, '/');
+}
+
+// '/news/slug/', '/artikel/slug/', '/slug/' → 'slug'; any other path → null
+function slugFromPath(normalized) {
+  if (!normalized) return null;
+  const parts = normalized.split('/').filter(Boolean);
+  if (parts.length === 1) return parts[0];
+  if (parts.length === 2 && currentSite().articleSections.includes(parts[0])) return parts[1];
+  return null;
+}
+
+const slugKey = (slug) => {
+  try { return decodeURIComponent(slug).toLowerCase(); } catch { return String(slug).toLowerCase(); }
+};
+
+// Groups raw GA4 paths by WP post → { byPost: { [postId]: [rawPath] }, unmatched: [rawPath] }
+function matchPathsToPosts(paths, posts) {
+  const idBySlug = new Map(posts.map(p => [slugKey(p.slug), p.id]));
+  const byPost = {};
+  const unmatched = [];
+  paths.forEach(path => {
+    const id = idBySlug.get(slugFromPath(normalizePagePath(path)));
+    if (id === undefined) { unmatched.push(path); return; }
+    (byPost[id] = byPost[id] || []).push(path);
+  });
+  return { byPost, unmatched };
+}
+
+// Sums getViewsByChannel() entries of several paths into one
+function mergeChannelViews(entries) {
+  const merged = { total: 0, channels: {} };
+  entries.forEach(e => {
+    merged.total += e.total;
+    Object.entries(e.channels).forEach(([ch, v]) => {
+      merged.channels[ch] = (merged.channels[ch] || 0) + v;
+    });
+  });
+  return merged;
+}
+
 // ─── WP Artikel + GA4 Views + Channel-Split ──────────────────────────────────
-async function getArticlesWithChannels({ startDate, endDate, wpQuery, limit = 100 }) {
-  const resolvedStart = resolveDate(startDate);
-  const resolvedEnd = resolveDate(endDate);
-  const after = resolvedStart.toISOString();
+// range: result of resolveRange() — posts published within it, views within it
+// limit > 100 pages through the WP API
+async function getArticlesWithChannels({ range, wpQuery, limit = 100 }) {
+  const after = `${range.startDate}T00:00:00`;
+  const before = `${fmtDate(addDays(parseIsoDate(range.endDate), 1))}T00:00:00`;
 
-  const baseQuery = `posts?per_page=${limit}&status=publish&after=${after}&orderby=date&order=desc&_fields=id,title,link,date,slug`;
+  const baseQuery = `posts?status=publish&after=${after}&before=${before}&orderby=date&order=desc&_fields=id,title,link,date,slug,categories,tags,author`;
   const query = wpQuery ? `${baseQuery}&${wpQuery}` : baseQuery;
-  const posts = await wpFetch(query);
+  const posts = await wpFetchAll(query, limit);
   if (!posts.length) return [];
 
-  const viewMap = await getViewsByChannel({
-    startDate: fmtDate(resolvedStart),
-    endDate: fmtDate(resolvedEnd),
-  });
+  const viewMap = await getViewsByChannel({ startDate: range.startDate, endDate: range.endDate });
+  const { byPost } = matchPathsToPosts(Object.keys(viewMap), posts);
 
   return posts.map(p => {
-    // goldesel.de/news/slug/ is the primary article path
-    const paths = [
-      `/news/${p.slug}/`,
-      `/news/${p.slug}`,
-      `/artikel/${p.slug}/`,
-      `/artikel/${p.slug}`,
-      `/${p.slug}/`,
-      `/${p.slug}`,
-    ];
-    let data = { total: 0, channels: {} };
-    for (const path of paths) {
-      if (viewMap[path]) { data = viewMap[path]; break; }
-    }
+    const paths = (byPost[p.id] || []).sort((a, b) => viewMap[b].total - viewMap[a].total);
+    const data = mergeChannelViews(paths.map(path => viewMap[path]));
     return {
+      id: p.id,
       title: p.title.rendered,
-      path: `/news/${p.slug}/`,
-      url: (p.link || '').replace('goldeselblog.de', 'goldesel.de'),
+      path: `${currentSite().newsPath}${p.slug}/`,
+      url: canonicalUrl(p.link),
       slug: p.slug,
       date: p.date,
+      categories: p.categories || [],
+      tags: p.tags || [],
+      author: p.author,
       pageviews: data.total,
       channels: data.channels,
+      matchedPaths: paths.map(path => ({ path, pageviews: viewMap[path].total })),
     };
   });
 }
 
 // ─── Actions ──────────────────────────────────────────────────────────────────
 
-async function top5(range = '30daysAgo') {
-  const articles = await getArticlesWithChannels({ startDate: range, endDate: 'today', limit: 100 });
+// Debug: how much GA4 traffic is attributed to WP posts, and which high-traffic
+// paths match no post at all
+async function matchingDebug(params = {}) {
+  const range = resolveRange(params, '30daysAgo', 'none');
+  const [posts, viewMap] = await Promise.all([
+    wpFetchAll('posts?status=publish&_fields=id,slug', 5000),
+    getViewsByChannel({ startDate: range.startDate, endDate: range.endDate }),
+  ]);
+  const { byPost, unmatched } = matchPathsToPosts(Object.keys(viewMap), posts);
+
+  const totalViews = Object.values(viewMap).reduce((s, v) => s + v.total, 0);
+  const matchedViews = Object.values(byPost).flat().reduce((s, path) => s + viewMap[path].total, 0);
+  const multiPath = Object.entries(byPost).filter(([, paths]) => paths.length > 1);
+
+  return {
+    range,
+    postsChecked: posts.length,
+    paths: Object.keys(viewMap).length,
+    totalViews,
+    matchedViews,
+    coverage: totalViews ? Math.round((matchedViews / totalViews) * 1000) / 10 : 0,
+    postsWithMultiplePaths: multiPath.length,
+    unmatched: unmatched
+      .map(path => {
+        const normalized = normalizePagePath(path);
+        const section = normalized?.split('/').filter(Boolean)[0];
+        return { path, normalized, pageviews: viewMap[path].total, articleLike: currentSite().articleSections.includes(section) };
+      })
+      .sort((a, b) => b.pageviews - a.pageviews)
+      .slice(0, 50),
+  };
+}
+
+async function top5(params = {}) {
+  const articles = await getArticlesWithChannels({ range: resolveRange(params, '30daysAgo', 'none'), limit: 100 });
   return articles.sort((a, b) => b.pageviews - a.pageviews).slice(0, 5);
 }
 
-async function flop5(range = '30daysAgo') {
-  const articles = await getArticlesWithChannels({ startDate: range, endDate: 'today', limit: 100 });
+async function flop5(params = {}) {
+  const articles = await getArticlesWithChannels({ range: resolveRange(params, '30daysAgo', 'none'), limit: 100 });
   // Include articles with 0 views — they are genuine flops (likely bad GA4 path match or no traffic)
   return articles.sort((a, b) => a.pageviews - b.pageviews).slice(0, 5);
 }
 
-async function top5NewThisMonth() {
-  const now = new Date();
-  const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
-  const articles = await getArticlesWithChannels({ startDate: fmtDate(firstDay), endDate: fmtDate(now), limit: 100 });
+async function top5NewThisMonth(params = {}) {
+  const articles = await getArticlesWithChannels({ range: resolveRange(params, 'thisMonth', 'none'), limit: 100 });
   return articles.sort((a, b) => b.pageviews - a.pageviews).slice(0, 5);
 }
 
-async function flop5NewThisMonth() {
-  const now = new Date();
-  const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
-  const articles = await getArticlesWithChannels({ startDate: fmtDate(firstDay), endDate: fmtDate(now), limit: 100 });
+async function flop5NewThisMonth(params = {}) {
+  const articles = await getArticlesWithChannels({ range: resolveRange(params, 'thisMonth', 'none'), limit: 100 });
   return articles.sort((a, b) => a.pageviews - b.pageviews).slice(0, 5);
 }
 
-async function topstories() {
-  const now = new Date();
-  const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
+async function topstories(params = {}) {
+  if (!currentSite().topstoryCategoryId) throw httpError(400, `No topstoryCategoryId configured for site "${currentSite().id}"`);
+  const range = resolveRange(params, 'thisMonth', 'none');
   const articles = await getArticlesWithChannels({
-    startDate: fmtDate(firstDay),
-    endDate: fmtDate(now),
-    wpQuery: `categories=${TOPSTORY_CATEGORY_ID}`,
+    range,
+    wpQuery: `categories=${currentSite().topstoryCategoryId}`,
     limit: 50,
   });
   const sorted = articles.sort((a, b) => b.pageviews - a.pageviews);
@@ -282,22 +682,19 @@ async function topstories() {
     avgPageviews: sorted.length > 0 ? Math.round(totalPageviews / sorted.length) : 0,
     channelTotals,
     articles: sorted,
+    range,
   };
 }
 
-async function kpis(range = '30daysAgo') {
+async function kpis(params = {}) {
   const client = getGA4Client();
-  // For comparison, use a "previous period" range
-  const daysMap = { '1daysAgo': 1, '7daysAgo': 7, '30daysAgo': 30, '90daysAgo': 90 };
-  const days = daysMap[range] || 30;
-  const prevRange = `${days * 2}daysAgo`;
-  
+  const range = resolveRange(params, '30daysAgo');
+  const dateRanges = [{ startDate: range.startDate, endDate: range.endDate, name: 'current' }];
+  if (range.compare) dateRanges.push({ startDate: range.compare.startDate, endDate: range.compare.endDate, name: 'compare' });
+
   const [response] = await client.runReport({
-    property: propertyId,
-    dateRanges: [
-      { startDate: range, endDate: 'today' },
-      { startDate: prevRange, endDate: `${days}daysAgo` },
-    ],
+    property: currentSite().ga4PropertyId,
+    dateRanges,
     metrics: [
       { name: 'screenPageViews' },
       { name: 'sessions' },
@@ -305,17 +702,23 @@ async function kpis(range = '30daysAgo') {
       { name: 'totalUsers' },
     ],
   });
-  const m = response.rows[0].metricValues;
+  // With several date ranges GA4 adds the range name as first dimension
+  const rowFor = (name) => (dateRanges.length > 1
+    ? response.rows?.find(r => r.dimensionValues?.[0]?.value === name)
+    : response.rows?.[0]);
+  const zero = [{ value: '0' }, { value: '0' }, { value: '0' }, { value: '0' }];
+  const m = rowFor('current')?.metricValues || zero;
   const result = {
     pageviews: parseInt(m[0].value),
     sessions: parseInt(m[1].value),
     newUsers: parseInt(m[2].value),
     totalUsers: parseInt(m[3].value),
+    range,
   };
-  
-  // Calculate deltas from second date range if available
-  if (response.rows.length > 1) {
-    const prev = response.rows[1].metricValues;
+
+  // Calculate deltas against the comparison range
+  if (range.compare) {
+    const prev = rowFor('compare')?.metricValues || zero;
     const delta = (cur, prv) => {
       const c = parseInt(cur), p = parseInt(prv);
       if (!p) return null;
@@ -327,23 +730,35 @@ async function kpis(range = '30daysAgo') {
       newUsers: delta(m[2].value, prev[2].value),
     };
   }
-  
+
   return result;
 }
 
-async function sources(range = '30daysAgo') {
+// Sessions per channel; with an explicit ?compare= each row also gets previousSessions + delta
+async function sources(params = {}) {
   const client = getGA4Client();
-  const [response] = await client.runReport({
-    property: propertyId,
-    dateRanges: [{ startDate: range, endDate: 'today' }],
-    dimensions: [{ name: 'sessionDefaultChannelGroup' }],
-    metrics: [{ name: 'sessions' }],
-    orderBys: [{ metric: { metricName: 'sessions' }, desc: true }],
+  const range = resolveRange(params, '30daysAgo', 'none');
+  const report = async ({ startDate, endDate }) => {
+    const [response] = await client.runReport({
+      property: currentSite().ga4PropertyId,
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: 'sessionDefaultChannelGroup' }],
+      metrics: [{ name: 'sessions' }],
+      orderBys: [{ metric: { metricName: 'sessions' }, desc: true }],
+    });
+    return (response.rows || []).map(row => ({
+      channel: row.dimensionValues[0].value,
+      sessions: parseInt(row.metricValues[0].value),
+    }));
+  };
+
+  const [current, previous] = await Promise.all([report(range), range.compare ? report(range.compare) : null]);
+  if (!previous) return current;
+  const prevMap = Object.fromEntries(previous.map(r => [r.channel, r.sessions]));
+  return current.map(r => {
+    const prev = prevMap[r.channel] || 0;
+    return { ...r, previousSessions: prev, delta: prev ? Math.round(((r.sessions - prev) / prev) * 100) : null };
   });
-  return response.rows.map(row => ({
-    channel: row.dimensionValues[0].value,
-    sessions: parseInt(row.metricValues[0].value),
-  }));
 }
 
 async function articles() {
@@ -351,58 +766,186 @@ async function articles() {
   return posts.map(p => ({ id: p.id, title: p.title.rendered, url: p.link, date: p.date, slug: p.slug }));
 }
 
-// Content category analysis for strategy page
-async function contentAnalysis() {
-  // Fetch articles by WP category with GA4 performance
-  const allArticles = await getArticlesWithChannels({ startDate: '90daysAgo', endDate: 'today', limit: 200 });
-
-  // Also get categories from WP
-  const cats = await wpFetch('categories?per_page=50&_fields=id,name,count,slug');
-  const catMap = {};
-  cats.forEach(c => { catMap[c.id] = c; });
+// Content analysis for strategy page: performance per WP category, tag and author
+// with weekly pageview trends. ?limit= caps the number of posts (default 1000).
+async function contentAnalysis(params = {}) {
+  const range = resolveRange(params, '90daysAgo', 'none');
+  const limit = Math.min(parseInt(params.limit) || 1000, 5000);
+  const [allArticles, weeklyMap] = await Promise.all([
+    getArticlesWithChannels({ range, limit }),
+    getWeeklyViewsByPath({ startDate: range.startDate, endDate: range.endDate }),
+  ]);
 
-  // Group articles by their WP categories
-  const categoryPerformance = {};
+  // Weekly views per article — all matched path variants merged
+  const { byPost } = matchPathsToPosts(Object.keys(weeklyMap), allArticles);
   allArticles.forEach(a => {
-    (a.categories || []).forEach(catId => {
-      const cat = catMap[catId];
-      if (!cat) return;
-      if (!categoryPerformance[cat.name]) {
-        categoryPerformance[cat.name] = { name: cat.name, slug: cat.slug, count: 0, totalPageviews: 0, articles: [], channels: {} };
-      }
-      const cp = categoryPerformance[cat.name];
-      cp.count++;
-      cp.totalPageviews += a.pageviews;
-      cp.articles.push({ title: a.title, pageviews: a.pageviews, path: a.path });
-      Object.entries(a.channels || {}).forEach(([ch, v]) => {
-        cp.channels[ch] = (cp.channels[ch] || 0) + v;
+    a.weekly = {};
+    (byPost[a.id] || []).forEach(path => {
+      Object.entries(weeklyMap[path]).forEach(([week, v]) => {
+        a.weekly[week] = (a.weekly[week] || 0) + v;
       });
     });
   });
 
-  // Calculate averages and sort
-  const categories = Object.values(categoryPerformance).map(c => ({
-    ...c,
-    avgPageviews: c.count > 0 ? Math.round(c.totalPageviews / c.count) : 0,
-    topChannel: Object.entries(c.channels).sort((a, b) => b[1] - a[1])[0]?.[0] || '—',
-    articles: c.articles.sort((a, b) => b.pageviews - a.pageviews).slice(0, 3), // top 3 per category
-  })).sort((a, b) => b.totalPageviews - a.totalPageviews);
+  // Resolve names for every category, tag and author that actually occurs
+  const [catMap, tagMap, authorMap] = await Promise.all([
+    wpFetchByIds('categories', allArticles.flatMap(a => a.categories), 'id,name,slug,count'),
+    wpFetchByIds('tags', allArticles.flatMap(a => a.tags), 'id,name,slug,count'),
+    wpFetchByIds('users', allArticles.map(a => a.author), 'id,name,slug').catch(() => ({})),
+  ]);
+
+  // Every ISO week touched by the range; first/last may be partial
+  const weeks = [];
+  const startWeek = addDays(parseIsoDate(range.startDate), -((parseIsoDate(range.startDate).getUTCDay() + 6) % 7));
+  for (let w = startWeek; w <= parseIsoDate(range.endDate); w = addDays(w, 7)) {
+    weeks.push({
+      week: fmtDate(w),
+      partial: fmtDate(w) < range.startDate || fmtDate(addDays(w, 6)) > range.endDate,
+    });
+  }
+
+  const categories = groupPerformance(allArticles, a => a.categories, catMap, weeks);
+  const tags = groupPerformance(allArticles, a => a.tags, tagMap, weeks).slice(0, 30);
+  const authors = groupPerformance(allArticles, a => [a.author], authorMap, weeks);
 
   // Overall stats
   const total = allArticles.length;
   const totalPV = allArticles.reduce((s, a) => s + a.pageviews, 0);
 
-  return { categories, totalArticles: total, totalPageviews: totalPV, period: '90 Tage' };
+  return { categories, tags, authors, totalArticles: total, totalPageviews: totalPV, period: `${range.days} Tage`, range };
+}
+
+// Groups articles by the ids keyFn returns (categories, tags, author) and
+// aggregates pageviews, channels and the weekly trend per group. Only posts
+// published in the range are counted, so later weeks have more posts live:
+// the trend is normalised to views per live post (published by the week's end).
+function groupPerformance(articles, keyFn, lookup, weeks) {
+  const groups = {};
+  articles.forEach(a => {
+    keyFn(a).forEach(id => {
+      const item = lookup[id];
+      if (!item) return;
+      if (!groups[id]) {
+        groups[id] = { id, name: item.name, slug: item.slug, count: 0, totalPageviews: 0, articles: [], channels: {}, weekly: {}, published: [] };
+      }
+      const g = groups[id];
+      g.count++;
+      g.totalPageviews += a.pageviews;
+      g.articles.push({ title: a.title, pageviews: a.pageviews, path: a.path });
+      g.published.push(a.date.slice(0, 10));
+      Object.entries(a.channels || {}).forEach(([ch, v]) => {
+        g.channels[ch] = (g.channels[ch] || 0) + v;
+      });
+      Object.entries(a.weekly || {}).forEach(([week, v]) => {
+        g.weekly[week] = (g.weekly[week] || 0) + v;
+      });
+    });
+  });
+
+  // Calculate averages, trend and sort
+  return Object.values(groups).map(({ weekly, published, ...g }) => {
+    const trend = weeks.map(w => {
+      const weekEnd = fmtDate(addDays(parseIsoDate(w.week), 6));
+      const pageviews = weekly[w.week] || 0;
+      const liveArticles = published.filter(d => d <= weekEnd).length;
+      return { ...w, pageviews, liveArticles, pageviewsPerArticle: liveArticles ? Math.round(pageviews / liveArticles) : 0 };
+    });
+    return {
+      ...g,
+      avgPageviews: g.count > 0 ? Math.round(g.totalPageviews / g.count) : 0,
+      topChannel: Object.entries(g.channels).sort((a, b) => b[1] - a[1])[0]?.[0] || '—',
+      articles: g.articles.sort((a, b) => b.pageviews - a.pageviews).slice(0, 3), // top 3 per group
+      trend,
+      trendChange: trendChange(trend),
+    };
+  }).sort((a, b) => b.totalPageviews - a.totalPageviews);
+}
+
+// % change of the second half of the complete weeks vs. the first half, on
+// views per live article (null if not enough data)
+function trendChange(trend) {
+  const full = trend.filter(w => !w.partial && w.liveArticles > 0);
+  if (full.length < 2) return null;
+  const half = Math.floor(full.length / 2);
+  const sum = (arr) => arr.reduce((s, w) => s + w.pageviewsPerArticle, 0);
+  const first = sum(full.slice(0, half));
+  const second = sum(full.slice(full.length - half));
+  return first === 0 ? null : Math.round(((second - first) / first) * 100);
+}
+
+// ─── Autoren-Leaderboard ──────────────────────────────────────────────────────
+// Performance per WP author for the posts published in the range
+async function authorStats(params = {}) {
+  const range = resolveRange(params, '30daysAgo', 'none');
+  const limit = Math.min(parseInt(params.limit) || 1000, 5000);
+  const [articles, engagementMap] = await Promise.all([
+    getArticlesWithChannels({ range, limit }),
+    getEngagementByPath({ startDate: range.startDate, endDate: range.endDate }),
+  ]);
+  // /users is often closed to the public (401/403) → names fall back to the id
+  const authorMap = await wpFetchByIds('users', articles.map(a => a.author), 'id,name,slug').catch(() => ({}));
+
+  // Engagement per article — all matched path variants merged
+  const { byPost } = matchPathsToPosts(Object.keys(engagementMap), articles);
+  const engagementFor = (id) => (byPost[id] || []).reduce((sum, path) => {
+    const e = engagementMap[path];
+    return {
+      newUsers: sum.newUsers + e.newUsers,
+      engagementSeconds: sum.engagementSeconds + e.engagementSeconds,
+      sessions: sum.sessions + e.sessions,
+      engagedSessions: sum.engagedSessions + e.engagedSessions,
+    };
+  }, { newUsers: 0, engagementSeconds: 0, sessions: 0, engagedSessions: 0 });
+
+  const groups = {};
+  articles.forEach(a => {
+    const g = groups[a.author] = groups[a.author] || { articles: [], channels: {}, newUsers: 0, engagementSeconds: 0, sessions: 0, engagedSessions: 0 };
+    g.articles.push(a);
+    Object.entries(a.channels).forEach(([ch, v]) => {
+      g.channels[ch] = (g.channels[ch] || 0) + v;
+    });
+    const e = engagementFor(a.id);
+    g.newUsers += e.newUsers;
+    g.engagementSeconds += e.engagementSeconds;
+    g.sessions += e.sessions;
+    g.engagedSessions += e.engagedSessions;
+  });
+
+  const authors = Object.entries(groups).map(([id, g]) => {
+    const views = g.articles.map(a => a.pageviews).sort((a, b) => a - b);
+    const totalViews = views.reduce((s, v) => s + v, 0);
+    const mid = Math.floor(views.length / 2);
+    const best = g.articles.reduce((b, a) => (a.pageviews > b.pageviews ? a : b));
+    const author = authorMap[id] || {};
+    return {
+      id: parseInt(id),
+      name: author.name || `Autor ${id}`,
+      slug: author.slug || '',
+      articleCount: g.articles.length,
+      totalViews,
+      medianViews: views.length % 2 ? views[mid] : Math.round((views[mid - 1] + views[mid]) / 2),
+      avgViews: Math.round(totalViews / views.length),
+      newUsers: g.newUsers,
+      avgEngagementTime: totalViews ? Math.round(g.engagementSeconds / totalViews) : 0, // seconds per view
+      engagementRate: g.sessions ? Math.round((g.engagedSessions / g.sessions) * 1000) / 10 : 0,
+      topChannel: Object.entries(g.channels).sort((a, b) => b[1] - a[1])[0]?.[0] || '—',
+      channels: g.channels,
+      bestArticle: { id: best.id, title: best.title, url: best.url, pageviews: best.pageviews },
+    };
+  }).sort((a, b) => b.totalViews - a.totalViews);
+
+  return { authors, totalArticles: articles.length, period: `${range.days} Tage`, range };
 }
 
 // ─── Content Attribution + Engagement ────────────────────────────────────────
-async function contentAttribution() {
+async function contentAttribution(params = {}) {
   const client = getGA4Client();
+  const range = resolveRange(params, '30daysAgo', 'none');
 
   // 1. Get landing page data with engagement metrics
   const [response] = await client.runReport({
-    property: propertyId,
-    dateRanges: [{ startDate: '30daysAgo', endDate: 'today' }],
+    property: currentSite().ga4PropertyId,
+    dateRanges: [{ startDate: range.startDate, endDate: range.endDate }],
     dimensions: [{ name: 'landingPagePlusQueryString' }],
     metrics: [
       { name: 'newUsers' },
@@ -415,7 +958,7 @@ async function contentAttribution() {
     dimensionFilter: {
       filter: {
         fieldName: 'landingPagePlusQueryString',
-        stringFilter: { matchType: 'CONTAINS', value: '/news/' },
+        stringFilter: { matchType: 'CONTAINS', value: currentSite().newsPath },
       },
     },
     orderBys: [{ metric: { metricName: 'newUsers' }, desc: true }],
@@ -448,6 +991,8 @@ async function contentAttribution() {
     const slugsToFetch = articles.slice(0, 30).map(a => a.slug).filter(Boolean);
     const titleMap = {};
     const ctaMap = {};
+    const { host, brand } = currentSite();
+    const internalHref = new RegExp(`href="https?:\\/\\/(${internalHrefPattern()})[^"]*"`, 'gi');
     
     // WP REST API: fetch in batches of 10 using slug parameter
     for (let i = 0; i < slugsToFetch.length; i += 10) {
@@ -459,9 +1004,9 @@ async function contentAttribution() {
           titleMap[p.slug] = p.title?.rendered || p.slug;
           const content = (p.content?.rendered || '').toLowerCase();
           ctaMap[p.slug] = {
-            hasCTA: content.includes('premium') || content.includes('jetzt testen') || content.includes('kostenlos') || content.includes('registrier') || content.includes('anmeld') || content.includes('goldesel.de/premium') || content.includes('cta') || content.includes('signup'),
-            hasProductMention: content.includes('goldesel') && (content.includes('tool') || content.includes('plattform') || content.includes('analyse') || content.includes('signal') || content.includes('watchlist')),
-            hasInternalLinks: (content.match(/href="https?:\/\/(goldesel\.de|goldeselblog\.de)[^"]*"/gi) || []).length,
+            hasCTA: content.includes('premium') || content.includes('jetzt testen') || content.includes('kostenlos') || content.includes('registrier') || content.includes('anmeld') || content.includes(`${host}/premium`) || content.includes('cta') || content.includes('signup'),
+            hasProductMention: content.includes(brand) && (content.includes('tool') || content.includes('plattform') || content.includes('analyse') || content.includes('signal') || content.includes('watchlist')),
+            hasInternalLinks: (content.match(internalHref) || []).length,
           };
         });
       } catch (batchErr) {
@@ -495,22 +1040,19 @@ async function contentAttribution() {
       withCTA,
       withoutCTA,
     },
-    period: '30 Tage',
+    period: `${range.days} Tage`,
+    range,
   };
 }
 
-async function dailyPageviews(range = '30daysAgo') {
+async function dailyPageviews(params = {}) {
   const client = getGA4Client();
-  
-  const daysMap = { '1daysAgo': 1, '7daysAgo': 7, '30daysAgo': 30, '90daysAgo': 90 };
-  const days = daysMap[range] || 30;
-  const prevStart = `${days * 2}daysAgo`;
-  const prevEnd = `${days + 1}daysAgo`;
-  
+  const range = resolveRange(params, '30daysAgo');
+
   // Current period only
   const [response] = await client.runReport({
-    property: propertyId,
-    dateRanges: [{ startDate: range, endDate: 'today' }],
+    property: currentSite().ga4PropertyId,
+    dateRanges: [{ startDate: range.startDate, endDate: range.endDate }],
     dimensions: [{ name: 'date' }],
     metrics: [
       { name: 'screenPageViews' },
@@ -527,47 +1069,51 @@ async function dailyPageviews(range = '30daysAgo') {
     newUsers: parseInt(row.metricValues[2].value),
   }));
   
-  // Previous period (separate call, non-blocking)
+  // Comparison period (separate call, non-blocking)
   let prevData = [];
-  try {
-    const [prevResp] = await client.runReport({
-      property: propertyId,
-      dateRanges: [{ startDate: prevStart, endDate: prevEnd }],
-      dimensions: [{ name: 'date' }],
-      metrics: [
-        { name: 'screenPageViews' },
-        { name: 'sessions' },
-        { name: 'newUsers' },
-      ],
-      orderBys: [{ dimension: { dimensionName: 'date' }, desc: false }],
-    });
-    prevData = (prevResp.rows || []).map(row => ({
-      date: row.dimensionValues[0].value,
-      pageviews: parseInt(row.metricValues[0].value),
-      sessions: parseInt(row.metricValues[1].value),
-      newUsers: parseInt(row.metricValues[2].value),
-    }));
-  } catch (e) {
-    // Previous period fetch failed, not critical
+  if (range.compare) {
+    try {
+      const [prevResp] = await client.runReport({
+        property: currentSite().ga4PropertyId,
+        dateRanges: [{ startDate: range.compare.startDate, endDate: range.compare.endDate }],
+        dimensions: [{ name: 'date' }],
+        metrics: [
+          { name: 'screenPageViews' },
+          { name: 'sessions' },
+          { name: 'newUsers' },
+        ],
+        orderBys: [{ dimension: { dimensionName: 'date' }, desc: false }],
+      });
+      prevData = (prevResp.rows || []).map(row => ({
+        date: row.dimensionValues[0].value,
+        pageviews: parseInt(row.metricValues[0].value),
+        sessions: parseInt(row.metricValues[1].value),
+        newUsers: parseInt(row.metricValues[2].value),
+      }));
+    } catch (e) {
+      // Previous period fetch failed, not critical
+    }
   }
   
-  return { current, previous: prevData };
+  return { current, previous: prevData, range };
 }
 
 // Top articles for a specific date (for chart drill-down)
 async function topArticlesForDate(dateStr) {
-  // dateStr format: YYYYMMDD
-  const formatted = dateStr.replace(/(\d{4})(\d{2})(\d{2})/, '$1-$2-$3');
+  // dateStr format: YYYYMMDD (as returned by dailyPageviews) or YYYY-MM-DD
+  if (!dateStr) throw httpError(400, 'date parameter required');
+  const formatted = dateStr.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+  const range = resolveRange({ start: formatted, end: formatted }, formatted, 'none');
   const client = getGA4Client();
   const [response] = await client.runReport({
-    property: propertyId,
-    dateRanges: [{ startDate: formatted, endDate: formatted }],
+    property: currentSite().ga4PropertyId,
+    dateRanges: [{ startDate: range.startDate, endDate: range.endDate }],
     dimensions: [{ name: 'pagePath' }, { name: 'pageTitle' }],
     metrics: [{ name: 'screenPageViews' }, { name: 'newUsers' }],
     dimensionFilter: {
       filter: {
         fieldName: 'pagePath',
-        stringFilter: { matchType: 'CONTAINS', value: '/news/' },
+        stringFilter: { matchType: 'CONTAINS', value: currentSite().newsPath },
       },
     },
     orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
@@ -582,11 +1128,12 @@ async function topArticlesForDate(dateStr) {
 }
 
 // Top pages by channel for dashboard breakdown
-async function topPagesByChannel() {
+async function topPagesByChannel(params = {}) {
   const client = getGA4Client();
+  const range = resolveRange(params, '30daysAgo', 'none');
   const [response] = await client.runReport({
-    property: propertyId,
-    dateRanges: [{ startDate: '30daysAgo', endDate: 'today' }],
+    property: currentSite().ga4PropertyId,
+    dateRanges: [{ startDate: range.startDate, endDate: range.endDate }],
     dimensions: [
       { name: 'sessionDefaultChannelGroup' },
       { name: 'pagePath' },
@@ -636,7 +1183,7 @@ async function reviewCandidates() {
     return {
       id: p.id,
       title: p.title.rendered,
-      url: (p.link || '').replace('goldeselblog.de', 'goldesel.de'),
+      url: canonicalUrl(p.link),
       date: p.date,
       slug: p.slug,
       excerpt: (p.excerpt?.rendered || '').replace(/<[^>]*>/g, '').trim().substring(0, 200),
@@ -657,16 +1204,9 @@ async function reviewCandidates() {
   ];
 }
 
-// Volltext eines einzelnen Artikels für KI-Review (inkl. Yoast SEO Meta)
-async function articleContent(postId) {
-  if (!postId) throw new Error('postId parameter required');
-  const post = await wpFetch(`posts/${postId}?_fields=id,title,content,excerpt,slug,link,date,categories,author,yoast_head_json,meta,yoast_focuskw`);
-
-  // Also try batch keyword fetch for this single post
-  const focusKeywords = await fetchYoastFocusKeywords([postId]).catch(() => ({}));
-  // HTML-Tags entfernen für sauberen Text
-  const rawHtml = post.content?.rendered || '';
-  const plainText = rawHtml
+// HTML-Tags entfernen für sauberen Text
+function htmlToText(html) {
+  return html
     .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
     .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
     .replace(/<[^>]*>/g, ' ')
@@ -677,6 +1217,17 @@ async function articleContent(postId) {
     .replace(/&quot;/g, '"')
     .replace(/\s+/g, ' ')
     .trim();
+}
+
+// Volltext eines einzelnen Artikels für KI-Review (inkl. Yoast SEO Meta)
+async function articleContent(postId) {
+  if (!postId) throw new Error('postId parameter required');
+  const post = await wpFetch(`posts/${postId}?_fields=id,title,content,excerpt,slug,link,date,categories,author,yoast_head_json,meta,yoast_focuskw`);
+
+  // Also try batch keyword fetch for this single post
+  const focusKeywords = await fetchYoastFocusKeywords([postId]).catch(() => ({}));
+  const rawHtml = post.content?.rendered || '';
+  const plainText = htmlToText(rawHtml);
 
   // Struktur-Analyse aus HTML
   const headings = [];
@@ -694,8 +1245,9 @@ async function articleContent(postId) {
   const hasImages = /<img /i.test(rawHtml);
   const hasTables = /<table/i.test(rawHtml);
   const hasLists = /<[uo]l/i.test(rawHtml);
-  const internalLinks = (rawHtml.match(/href="https?:\/\/(goldesel\.de|goldeselblog\.de)[^"]*"/gi) || []).length;
-  const externalLinks = (rawHtml.match(/href="https?:\/\/(?!goldesel\.de|goldeselblog\.de)[^"]*"/gi) || []).length;
+  const hostPattern = internalHrefPattern();
+  const internalLinks = (rawHtml.match(new RegExp(`href="https?:\\/\\/(${hostPattern})[^"]*"`, 'gi')) || []).length;
+  const externalLinks = (rawHtml.match(new RegExp(`href="https?:\\/\\/(?!${hostPattern})[^"]*"`, 'gi')) || []).length;
 
   // Yoast SEO data - try all sources
   const yoast = post.yoast_head_json || {};
@@ -712,13 +1264,14 @@ async function articleContent(postId) {
   return {
     id: post.id,
     title: post.title?.rendered || '',
-    url: (post.link || '').replace('goldeselblog.de', 'goldesel.de'),
+    url: canonicalUrl(post.link),
     slug: post.slug,
     date: post.date,
     content: plainText,
     contentHtml: rawHtml,
     wordCount,
     headings,
+    readability: analyzeReadability(plainText, rawHtml),
     structure: {
       h2Count: headings.filter(h => h.level === 'H2').length,
       h3Count: headings.filter(h => h.level === 'H3').length,
@@ -736,64 +1289,510 @@ async function articleContent(postId) {
   };
 }
 
-// ─── WordPress: Publish a draft/pending post ──────────────────────────────
-async function publishPost(postId) {
-  if (!postId) throw new Error('postId parameter required');
-  const base = process.env.WP_URL;
-  const user = process.env.WP_USER;
-  const pass = process.env.WP_APP_PASS;
-  const auth = Buffer.from(`${user}:${pass}`).toString('base64');
-  const res = await fetch(`${base}/wp-json/wp/v2/posts/${postId}`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({ status: 'publish' }),
+// ─── Lesbarkeit (Deutsch) ─────────────────────────────────────────────────────
+// Flesch-Amstad (German Flesch Reading Ease), 1. Wiener Sachtextformel,
+// sentence/paragraph length, passive voice and transition words. Syllables are
+// counted as vowel groups — good enough for averages, not for single words.
+const READABILITY_LIMITS = {
+  longSentence: 20,          // words (Yoast, German)
+  longParagraph: 150,        // words
+  minFlesch: 40,             // below: "schwer" for a news audience
+  maxLongSentenceRatio: 25,  // percent of sentences
+  maxPassiveRatio: 15,       // percent of sentences
+  minTransitionRatio: 30,    // percent of sentences
+  minWords: 50,              // shorter texts are not scored
+};
+
+// Dots that don't end a sentence
+const GERMAN_ABBREVIATIONS = ['z.B.', 'z. B.', 'd.h.', 'd. h.', 'u.a.', 'u. a.', 'bzw.', 'ca.', 'Nr.', 'usw.', 'etc.', 'vgl.', 'Mio.', 'Mrd.', 'Dr.', 'Prof.', 'inkl.', 'ggf.', 'evtl.', 'sog.', 'bspw.', 'Jan.', 'Feb.', 'Okt.', 'Nov.', 'Dez.'];
+
+const GERMAN_TRANSITIONS = [
+  'zunächst', 'zuerst', 'erstens', 'zweitens', 'drittens', 'anschließend', 'danach', 'schließlich', 'zuletzt',
+  'außerdem', 'zudem', 'darüber hinaus', 'ebenso', 'ebenfalls', 'weiterhin', 'ferner',
+  'deshalb', 'daher', 'deswegen', 'folglich', 'somit', 'infolgedessen', 'dadurch', 'also',
+  'jedoch', 'allerdings', 'dennoch', 'trotzdem', 'hingegen', 'stattdessen', 'im gegensatz', 'andererseits', 'obwohl',
+  'beispielsweise', 'zum beispiel', 'etwa', 'insbesondere', 'vor allem', 'nämlich',
+  'denn', 'weil', 'da', 'während', 'sobald', 'sodass',
+  'zusammenfassend', 'kurz gesagt', 'insgesamt', 'letztlich', 'im fazit',
+];
+
+// Forms of "werden" + Partizip II ("wird erhöht", "wurde gekauft", "ist reguliert worden").
+// Inseparable prefixes only with -t, so "wird verkaufen" (future) is not passive.
+// No "würde": that is the subjunctive ("würde gehen"), not Vorgangspassiv.
+const PASSIVE_AUX = /^(werde|wirst|wird|werden|werdet|wurde|wurdest|wurden|wurdet|worden)$/i;
+const PARTICIPLE = /^(ge[a-zäöüß]{2,}(t|en)|(be|er|ver|zer|ent|emp|miss)[a-zäöüß]{2,}t|[a-zäöüß]{3,}iert)$/i;
+const PASSIVE_WINDOW = 3;   // words after the werden form
+
+// Per clause: a participle right after the werden form ("wird oft vernachlässigt"),
+// at the end of the clause ("wird von der Bank geprüft") or, verb-final, right
+// before it ("weil Gold gekauft wurde"). Other ge-…-t words in the sentence don't count.
+function isPassive(sentence) {
+  return sentence.split(/[,;:()–—]/).some(clause => {
+    const words = clause.match(/[a-zäöüß]+/gi) || [];
+    const last = words.length - 1;
+    return words.some((word, i) => {
+      if (!PASSIVE_AUX.test(word)) return false;
+      if (words.slice(i + 1, i + 1 + PASSIVE_WINDOW).some(w => PARTICIPLE.test(w))) return true;
+      if (i < last) return PARTICIPLE.test(words[last]);
+      return i > 0 && PARTICIPLE.test(words[i - 1]);
+    });
   });
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`WP publish failed (${res.status}): ${err}`);
-  }
-  const post = await res.json();
-  return {
-    id: post.id,
-    title: post.title?.rendered || '',
-    status: post.status,
-    url: (post.link || '').replace('goldeselblog.de', 'goldesel.de'),
-  };
 }
 
-// ─── KI-Review via Claude API (server-side proxy) ─────────────────────────
-async function aiReview(postId) {
-  if (!postId) throw new Error('postId parameter required');
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) throw new Error('ANTHROPIC_API_KEY not set in environment');
+const countSyllables = (word) => Math.max(1, (word.toLowerCase().match(/[aeiouyäöü]+/g) || []).length);
 
-  // Get full article content (now includes Yoast SEO data)
-  const article = await articleContent(postId);
-  const focusKW = article.seo?.focusKeyword || '';
+function splitSentences(text) {
+  let protectedText = text;
+  GERMAN_ABBREVIATIONS.forEach(abbr => { protectedText = protectedText.split(abbr).join(abbr.replace(/\./g, '\u0000')); });
+  return protectedText
+    // No split after "15." — in German that is an ordinal or date ("am 15. Oktober")
+    .split(/(?<=[.!?…])(?<!\d\.)\s+(?=["„»(]?[A-ZÄÖÜ0-9])/)
+    .map(s => s.replace(/\u0000/g, '.').trim())
+    .filter(s => /[a-zäöüß]/i.test(s));
+}
 
-  // Truncate if very long
-  const text = article.content.length > 12000
-    ? article.content.substring(0, 12000) + '\n[...gekürzt...]'
-    : article.content;
+const wordsOf = (text) => text.match(/[A-Za-zÄÖÜäöüß0-9][A-Za-zÄÖÜäöüß0-9'-]*/g) || [];
 
-  // Build keyword-aware prompt
+const fleschLabel = (score) => (
+  score >= 80 ? 'leicht' : score >= 60 ? 'mittel' : score >= 50 ? 'mittelschwer' : score >= 30 ? 'schwer' : 'sehr schwer'
+);
+
+// plainText for the text metrics, html for paragraph lengths
+function analyzeReadability(plainText, html = '') {
+  const round1 = (n) => Math.round(n * 10) / 10;
+  const pct = (part, total) => (total ? round1((part / total) * 100) : 0);
+  const sentences = splitSentences(plainText);
+  const words = wordsOf(plainText);
+  const sentenceWords = sentences.map(s => wordsOf(s).length);
+  const syllables = words.map(countSyllables);
+  const wordCount = words.length;
+  const scored = wordCount >= READABILITY_LIMITS.minWords && sentences.length > 0;
+
+  const asl = sentences.length ? wordCount / sentences.length : 0;
+  const asw = wordCount ? syllables.reduce((a, b) => a + b, 0) / wordCount : 0;
+  const ms = pct(syllables.filter(n => n >= 3).length, wordCount);
+  const iw = pct(words.filter(w => w.length > 6).length, wordCount);
+  const es = pct(syllables.filter(n => n === 1).length, wordCount);
+  const flesch = Math.max(0, Math.min(100, Math.round(180 - asl - 58.5 * asw)));
+  const wstf = round1(0.1935 * ms + 0.1672 * asl + 0.1297 * iw - 0.0327 * es - 0.875);
+
+  const long = sentences.filter((s, i) => sentenceWords[i] > READABILITY_LIMITS.longSentence);
+  const passive = sentences.filter(isPassive);
+  const used = {};
+  const withTransition = sentences.filter(s => {
+    const lower = ` ${s.toLowerCase().replace(/[^a-zäöüß ]/g, ' ')} `;
+    const found = GERMAN_TRANSITIONS.filter(t => lower.includes(` ${t} `));
+    found.forEach(t => { used[t] = (used[t] || 0) + 1; });
+    return found.length > 0;
+  });
+  const paragraphs = [...html.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+    .map(m => decodeEntities(m[1].replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  const longParagraphs = paragraphs.filter(p => wordsOf(p).length > READABILITY_LIMITS.longParagraph);
+  const excerpt = (str) => (str.length > 80 ? `${str.substring(0, 80)}…` : str);
+
+  return {
+    scored,
+    sentences: sentences.length,
+    words: wordCount,
+    avgSentenceLength: round1(asl),
+    avgSyllablesPerWord: Math.round(asw * 100) / 100,
+    fleschAmstad: scored ? flesch : null,
+    fleschLabel: scored ? fleschLabel(flesch) : null,
+    wienerSachtext: scored ? wstf : null,
+    passiveRatio: pct(passive.length, sentences.length),
+    longSentences: {
+      count: long.length,
+      ratio: pct(long.length, sentences.length),
+      threshold: READABILITY_LIMITS.longSentence,
+      examples: long.slice(0, 5).map(excerpt),
+    },
+    longParagraphs: {
+      count: longParagraphs.length,
+      threshold: READABILITY_LIMITS.longParagraph,
+      examples: longParagraphs.slice(0, 3).map(excerpt),
+    },
+    transitionWords: {
+      ratio: pct(withTransition.length, sentences.length),
+      top: Object.entries(used).sort((a, b) => b[1] - a[1]).slice(0, 10).map(([word, count]) => ({ word, count })),
+    },
+  };
+}
+
+// ─── On-Page-SEO-Audit (deterministisch) ──────────────────────────────────────
+// Exact checks on top of articleContent: focus keyword placement and density,
+// title/meta length, heading hierarchy, image alt texts, link counts and the
+// readability limits. aiReview passes the result to the model as fixed facts
+// and takes the keywordAnalysis values from here, so the model only judges
+// the subjective parts.
+// pass: true / false, null = not applicable (e.g. no focus keyword)
+const SEO_LIMITS = {
+  titleLength: [30, 60],
+  metaLength: [120, 155],
+  density: [0.5, 1.5],   // percent
+  minInternalLinks: 2,
+};
+
+// Lowercase, entity-free, single-spaced text for phrase matching
+const normText = (str) => decodeEntities(String(str || '').replace(/<[^>]*>/g, ' ')).toLowerCase().replace(/\s+/g, ' ').trim();
+
+// "Gold kaufen für Anfänger" → "gold-kaufen-fuer-anfaenger" (WordPress slug style)
+const slugify = (str) => normText(str)
+  .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '');
+
+function countPhrase(text, phrase) {
+  if (!phrase) return 0;
+  let count = 0;
+  for (let i = text.indexOf(phrase); i !== -1; i = text.indexOf(phrase, i + phrase.length)) count++;
+  return count;
+}
+
+// Headings h1–h6 in document order
+function headingOutline(html) {
+  return [...html.matchAll(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi)]
+    .map(m => ({ level: parseInt(m[1]), text: decodeEntities(m[2].replace(/<[^>]*>/g, '')).trim() }));
+}
+
+// H1 belongs to the theme (post title), content starts at H2, no level is skipped
+function headingIssues(outline) {
+  const issues = [];
+  outline.forEach((h, i) => {
+    const prev = i > 0 ? outline[i - 1].level : 1;
+    if (h.level === 1) issues.push(`H1 im Inhalt: "${h.text}"`);
+    else if (i === 0 && h.level !== 2) issues.push(`Erste Überschrift ist H${h.level} statt H2: "${h.text}"`);
+    else if (h.level > prev + 1) issues.push(`H${prev} → H${h.level} übersprungen bei "${h.text}"`);
+  });
+  return issues;
+}
+
+function imageAudit(html) {
+  const images = (html.match(/<img\b[^>]*>/gi) || []).map(tag => {
+    const alt = tag.match(/\balt\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    const src = tag.match(/\bsrc\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    return { src: src ? src[1] ?? src[2] : '', alt: alt ? decodeEntities(alt[1] ?? alt[2]).trim() : null };
+  });
+  return { count: images.length, missingAlt: images.filter(img => !img.alt).map(img => img.src) };
+}
+
+function auditArticle(article) {
+  const kw = normText(article.seo.focusKeyword);
+  const text = normText(article.content);
+  const title = decodeEntities(article.seo.seoTitle || article.title).trim();
+  const meta = decodeEntities(article.seo.seoDescription).trim();
+  const outline = headingOutline(article.contentHtml);
+  const h2s = outline.filter(h => h.level === 2).map(h => normText(h.text));
+  const first100 = text.split(' ').slice(0, 100).join(' ');
+  const occurrences = countPhrase(text, kw);
+  const density = article.wordCount ? Math.round((occurrences / article.wordCount) * 1000) / 10 : 0;
+  const images = imageAudit(article.contentHtml);
+  const { internalLinks, externalLinks } = article.structure;
+  const hierarchy = headingIssues(outline);
+  const between = (value, [min, max]) => value >= min && value <= max;
+  const ifKw = (fn) => (kw ? fn() : null);
+
+  const checks = [
+    { id: 'keywordInTitle', label: 'Fokus-Keyword im SEO-Title', pass: ifKw(() => normText(title).includes(kw)), value: title },
+    { id: 'keywordInMetaDescription', label: 'Fokus-Keyword in der Meta-Description', pass: ifKw(() => normText(meta).includes(kw)), value: meta },
+    { id: 'keywordInH2', label: 'Fokus-Keyword in mindestens einer H2', pass: ifKw(() => h2s.some(h => h.includes(kw))), value: h2s.filter(h => kw && h.includes(kw)).length },
+    { id: 'keywordInFirst100Words', label: 'Fokus-Keyword in den ersten 100 Wörtern', pass: ifKw(() => first100.includes(kw)) },
+    { id: 'keywordInSlug', label: 'Fokus-Keyword im URL-Slug', pass: ifKw(() => slugKey(article.slug).includes(slugify(kw))), value: article.slug },
+    { id: 'keywordDensity', label: 'Keyword-Dichte', pass: ifKw(() => between(density, SEO_LIMITS.density)), value: density, expected: `${SEO_LIMITS.density.join('–')} %` },
+    { id: 'titleLength', label: 'Länge SEO-Title', pass: between(title.length, SEO_LIMITS.titleLength), value: title.length, expected: `${SEO_LIMITS.titleLength.join('–')} Zeichen` },
+    { id: 'metaLength', label: 'Länge Meta-Description', pass: between(meta.length, SEO_LIMITS.metaLength), value: meta.length, expected: `${SEO_LIMITS.metaLength.join('–')} Zeichen` },
+    { id: 'headingHierarchy', label: 'Überschriften-Hierarchie', pass: outline.length > 0 && !hierarchy.length, value: outline.length ? hierarchy : ['Keine Zwischenüberschriften'] },
+    { id: 'imageAlt', label: 'Alt-Text bei allen Bildern', pass: images.count ? !images.missingAlt.length : null, value: `${images.count - images.missingAlt.length}/${images.count}` },
+    { id: 'internalLinks', label: 'Interne Links', pass: internalLinks >= SEO_LIMITS.minInternalLinks, value: internalLinks, expected: `≥ ${SEO_LIMITS.minInternalLinks}` },
+    ...readabilityChecks(article.readability),
+  ];
+  const applicable = checks.filter(c => c.pass !== null);
+  const passed = applicable.filter(c => c.pass).length;
+
+  return {
+    postId: article.id,
+    title: decodeEntities(article.title),
+    url: article.url,
+    focusKeyword: article.seo.focusKeyword,
+    score: applicable.length ? Math.round((passed / applicable.length) * 100) : null,
+    passed,
+    failed: applicable.length - passed,
+    checks,
+    keyword: kw ? { occurrences, density, wordCount: article.wordCount } : null,
+    headings: outline,
+    images,
+    links: { internal: internalLinks, external: externalLinks },
+    readability: article.readability,
+  };
+}
+
+function readabilityChecks(r) {
+  const L = READABILITY_LIMITS;
+  const ifScored = (fn) => (r.scored ? fn() : null);
+  return [
+    { id: 'fleschAmstad', label: 'Lesbarkeit (Flesch-Amstad)', pass: ifScored(() => r.fleschAmstad >= L.minFlesch), value: r.scored ? `${r.fleschAmstad} (${r.fleschLabel}), Wiener Sachtextformel ${r.wienerSachtext}` : undefined, expected: `≥ ${L.minFlesch}` },
+    { id: 'longSentences', label: `Sätze über ${L.longSentence} Wörter`, pass: ifScored(() => r.longSentences.ratio <= L.maxLongSentenceRatio), value: `${r.longSentences.ratio} %`, expected: `≤ ${L.maxLongSentenceRatio} %` },
+    { id: 'longParagraphs', label: `Absätze über ${L.longParagraph} Wörter`, pass: ifScored(() => r.longParagraphs.count === 0), value: r.longParagraphs.count, expected: '0' },
+    { id: 'passiveVoice', label: 'Passiv-Sätze', pass: ifScored(() => r.passiveRatio <= L.maxPassiveRatio), value: `${r.passiveRatio} %`, expected: `≤ ${L.maxPassiveRatio} %` },
+    { id: 'transitionWords', label: 'Sätze mit Übergangswörtern', pass: ifScored(() => r.transitionWords.ratio >= L.minTransitionRatio), value: `${r.transitionWords.ratio} %`, expected: `≥ ${L.minTransitionRatio} %` },
+  ];
+}
+
+async function seoAudit(postId) {
+  return auditArticle(await articleContent(postId));
+}
+
+// Audit → keywordAnalysis fields of the review schema
+const auditKeywordAnalysis = (audit) => {
+  const pass = (id) => audit.checks.find(c => c.id === id).pass === true;
+  return {
+    focusKeyword: audit.focusKeyword || '',
+    inTitle: pass('keywordInTitle'),
+    inMetaDesc: pass('keywordInMetaDescription'),
+    inH2: pass('keywordInH2'),
+    inFirst100Words: pass('keywordInFirst100Words'),
+    inSlug: pass('keywordInSlug'),
+    occurrences: audit.keyword?.occurrences ?? 0,
+    density: audit.keyword ? `${audit.keyword.density}%` : '',
+  };
+};
+
+// Audit → prompt lines ("✓ Fokus-Keyword im SEO-Title")
+const auditFacts = (audit) => audit.checks
+  .filter(c => c.pass !== null)
+  .map(c => {
+    const value = Array.isArray(c.value) ? c.value.join('; ') : c.value;
+    const detail = [value !== undefined && value !== '' ? `Wert: ${value}` : '', c.expected ? `Soll: ${c.expected}` : ''].filter(Boolean).join(', ');
+    return `${c.pass ? '✓' : '✗'} ${c.label}${detail ? ` (${detail})` : ''}`;
+  })
+  .join('\n');
+
+// ─── WordPress: Publish a draft/pending post ──────────────────────────────
+async function publishPost(postId) {
+  if (!postId) throw new Error('postId parameter required');
+  const { wpUrl: base, wpUser: user, wpAppPass: pass } = currentSite();
+  const auth = Buffer.from(`${user}:${pass}`).toString('base64');
+  const res = await fetch(`${base}/wp-json/wp/v2/posts/${postId}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${auth}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ status: 'publish' }),
+  });
+  if (!res.ok) {
+    const err = await res.text();
+    throw new Error(`WP publish failed (${res.status}): ${err}`);
+  }
+  const post = await res.json();
+  return {
+    id: post.id,
+    title: post.title?.rendered || '',
+    status: post.status,
+    url: canonicalUrl(post.link),
+  };
+}
+
+// ─── Claude API ───────────────────────────────────────────────────────────────
+// 429 (rate limit) and 529 (overloaded) are retried with exponential backoff,
+// honouring retry-after. Gives up with err.rateLimited = true when the retries
+// are used up or the next wait would pass `deadline`; a call still running at
+// `deadline` is aborted with err.deadlineExceeded = true.
+const CLAUDE_RETRY = { retries: 3, baseMs: 2000, maxMs: 30000 };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function claudeMessages(payload, { deadline } = {}) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) throw new Error('ANTHROPIC_API_KEY not set in environment');
+
+  for (let attempt = 0; ; attempt++) {
+    let res, errText;
+    try {
+      res = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify(payload),
+        signal: deadline ? AbortSignal.timeout(Math.max(1, deadline - Date.now())) : undefined,
+      });
+      if (res.ok) return await res.json();
+      errText = await res.text();
+    } catch (cause) {
+      if (cause.name !== 'TimeoutError') throw cause;
+      const err = new Error('Claude API call aborted at the deadline');
+      err.deadlineExceeded = true;
+      throw err;
+    }
+
+    const retryable = res.status === 429 || res.status === 529;
+    const retryAfter = parseFloat(res.headers.get('retry-after')) * 1000;
+    const wait = Math.min(CLAUDE_RETRY.maxMs, retryAfter > 0 ? retryAfter : CLAUDE_RETRY.baseMs * 2 ** attempt);
+    if (retryable && attempt < CLAUDE_RETRY.retries && (!deadline || Date.now() + wait < deadline)) {
+      await sleep(wait);
+      continue;
+    }
+    const err = new Error(`Claude API error (${res.status}): ${errText.substring(0, 500)}`);
+    err.rateLimited = retryable;
+    err.retryAfterMs = wait;
+    throw err;
+  }
+}
+
+// ─── Review-Schema ────────────────────────────────────────────────────────────
+// Every field of the aiReview JSON with its type. validateReview() returns a
+// review that always matches the schema (invalid values coerced or replaced by
+// the type's default) plus a list of problems, which are first sent back to
+// the model for one repair round-trip and otherwise returned as
+// validationWarnings.
+const REVIEW_TYPES = {
+  score: {
+    label: 'integer 0–100',
+    default: 0,
+    check: (v) => Number.isInteger(v) && v >= 0 && v <= 100,
+    coerce: (v) => (v === null || v === '' || !Number.isFinite(Number(v)) ? undefined : Math.min(100, Math.max(0, Math.round(Number(v))))),
+  },
+  count: {
+    label: 'integer ≥ 0',
+    default: 0,
+    check: (v) => Number.isInteger(v) && v >= 0,
+    coerce: (v) => (v === null || v === '' || !(Number(v) >= 0) ? undefined : Math.round(Number(v))),
+  },
+  boolean: {
+    label: 'boolean',
+    default: false,
+    check: (v) => typeof v === 'boolean',
+    coerce: (v) => ({ true: true, false: false, ja: true, nein: false }[String(v).toLowerCase()]),
+  },
+  string: {
+    label: 'string',
+    default: '',
+    check: (v) => typeof v === 'string',
+    coerce: (v) => (typeof v === 'number' ? String(v) : undefined),
+  },
+  strings: {
+    label: 'list of strings',
+    default: [],
+    check: (v) => Array.isArray(v) && v.every(item => typeof item === 'string'),
+    coerce: (v) => {
+      if (typeof v === 'string') return v ? [v] : [];
+      if (Array.isArray(v)) return v.filter(item => item != null && typeof item !== 'object').map(String);
+      return undefined;
+    },
+  },
+};
+
+const REVIEW_SCHEMA = {
+  score: 'score',
+  seoScore: 'score',
+  qualityScore: 'score',
+  productScore: 'score',
+  summary: 'string',
+  strengths: 'strings',
+  weaknesses: 'strings',
+  seoImprovements: 'strings',
+  contentImprovements: 'strings',
+  keywordSuggestions: 'strings',
+  keywordAnalysis: {
+    focusKeyword: 'string',
+    inTitle: 'boolean',
+    inMetaDesc: 'boolean',
+    inH2: 'boolean',
+    inFirst100Words: 'boolean',
+    inSlug: 'boolean',
+    occurrences: 'count',
+    density: 'string',
+    verdict: 'string',
+    suggestedKeyword: 'string',
+  },
+  metaTitleSuggestion: 'string',
+  metaDescriptionSuggestion: 'string',
+};
+
+// → { review, problems: ['keywordAnalysis.inH2: missing', …] }
+function validateReview(value, schema = REVIEW_SCHEMA, path = '') {
+  const problems = [];
+  const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  if (source !== value) problems.push(`${path || 'review'}: expected object`);
+
+  const review = {};
+  Object.entries(schema).forEach(([key, spec]) => {
+    const field = path ? `${path}.${key}` : key;
+    if (typeof spec === 'object') {
+      // A missing object is one problem, not one per nested field
+      const nested = validateReview(source[key] ?? {}, spec, field);
+      review[key] = nested.review;
+      problems.push(...(source[key] === undefined ? [`${field}: missing`] : nested.problems));
+      return;
+    }
+    const type = REVIEW_TYPES[spec];
+    const v = source[key];
+    if (type.check(v)) { review[key] = v; return; }
+    if (v === undefined) {
+      problems.push(`${field}: missing`);
+      review[key] = structuredClone(type.default);
+      return;
+    }
+    const coerced = type.coerce(v);
+    problems.push(`${field}: expected ${type.label}, got ${JSON.stringify(v).substring(0, 60)}`);
+    review[key] = coerced !== undefined && type.check(coerced) ? coerced : structuredClone(type.default);
+  });
+  return { review, problems };
+}
+
+// Model text → { parsed, review, problems }; tolerates ```json fences and
+// prose around the object. `facts` (computed locally) replace the model's
+// keywordAnalysis values before validation.
+function parseReview(raw, facts = {}) {
+  const cleaned = raw.replace(/```json|```/g, '').trim();
+  const candidates = [cleaned, cleaned.slice(cleaned.indexOf('{'), cleaned.lastIndexOf('}') + 1)];
+  for (const text of candidates) {
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) parsed.keywordAnalysis = { ...parsed.keywordAnalysis, ...facts };
+      return { parsed: true, ...validateReview(parsed) };
+    } catch { /* try the next candidate */ }
+  }
+  return { parsed: false, review: null, problems: ['response is not valid JSON'], raw: cleaned };
+}
+
+const reviewRepairPrompt = (problems) => `Dein JSON entspricht nicht dem geforderten Format:
+${problems.map(p => `- ${p}`).join('\n')}
+
+Antworte NUR mit dem vollständigen, korrigierten JSON-Objekt (alle Felder, Scores als Ganzzahl 0-100), kein Markdown, keine Backticks.`;
+
+// ─── KI-Review via Claude API (server-side proxy) ─────────────────────────
+const REVIEW_MODEL = 'claude-sonnet-4-20250514';
+
+// deadline (ms timestamp): Claude calls are aborted then, rate-limit retries
+// that would end later give up
+async function aiReview(postId, { deadline } = {}) {
+  if (!postId) throw new Error('postId parameter required');
+  if (!process.env.ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY not set in environment');
+
+  // Get full article content (now includes Yoast SEO data)
+  const article = await articleContent(postId);
+  const focusKW = article.seo?.focusKeyword || '';
+  const audit = auditArticle(article);
+
+  // Truncate if very long
+  const text = article.content.length > 12000
+    ? article.content.substring(0, 12000) + '\n[...gekürzt...]'
+    : article.content;
+
+  // Build keyword-aware prompt
   const keywordBlock = focusKW
     ? `\n\nWICHTIG — FOKUS-KEYWORD: "${focusKW}"
-Das Fokus-Keyword wurde vom Redakteur in Yoast SEO hinterlegt. Prüfe speziell:
-- Kommt das Fokus-Keyword im H1/Title vor?
-- Kommt es in der Meta Description vor?
-- Kommt es in mindestens einer H2 vor?
-- Kommt es in den ersten 100 Wörtern des Textes vor?
-- Wie oft kommt es insgesamt vor? (ideal: 0.5-1.5% Keyword-Dichte)
+Das Fokus-Keyword wurde vom Redakteur in Yoast SEO hinterlegt. Platzierung (Title, Meta Description, H2, erste 100 Wörter, Slug) und Keyword-Dichte wurden bereits exakt geprüft — siehe "Geprüfte Fakten" in der Nachricht. Übernimm diese Fakten, prüfe sie nicht neu. Beurteile selbst:
 - Gibt es sinnvolle Variationen/Synonyme des Keywords im Text?
-- Ist das Keyword im URL-Slug enthalten?
-Gib eine separate "keywordAnalysis" mit Ergebnis.`
+- Passt das Keyword zum Suchintent und zum Inhalt?
+Fasse das in "keywordAnalysis.verdict" zusammen.`
     : '\n\nHINWEIS: Kein Fokus-Keyword in Yoast hinterlegt. Schlage ein geeignetes Fokus-Keyword vor.';
 
-  const systemPrompt = `Du bist ein SEO- und Content-Experte für Goldesel.de, eine deutsche Trading-Plattform. Analysiere den folgenden Artikel und gib ein strukturiertes Review. Bewerte auf einer Skala von 0-100. Antworte NUR mit dem JSON-Objekt, kein Markdown, keine Backticks.
+  const site = currentSite();
+  const systemPrompt = `Du bist ein SEO- und Content-Experte für ${site.label}, ${site.description}. Analysiere den folgenden Artikel und gib ein strukturiertes Review. Bewerte auf einer Skala von 0-100. Antworte NUR mit dem JSON-Objekt, kein Markdown, keine Backticks.
 ${keywordBlock}
 
 JSON Format:
@@ -826,62 +1825,573 @@ JSON Format:
 
 Bewertungskriterien:
 - SEO: Keyword-Optimierung (Fokus-Keyword!), Überschriften-Hierarchie, Meta-Potential, interne Verlinkung, Suchintent
-- Qualität: Lesbarkeit, Mehrwert, Struktur, Tiefe der Analyse, E-E-A-T Signale
-- Produktbezug: Relevanz für Goldesel-Nutzer, Premium-Konvertierungspotential, CTA-Möglichkeiten
-
-Kontext: Goldesel ist eine Trading-Plattform mit Free- und Premium-Modell. Content soll informieren UND konvertieren.`;
+- Qualität: Lesbarkeit (Kennzahlen siehe "Geprüfte Fakten"), Mehrwert, Struktur, Tiefe der Analyse, E-E-A-T Signale
+- Produktbezug: Relevanz für ${site.name}-Nutzer, Premium-Konvertierungspotential, CTA-Möglichkeiten
+${site.aiContext ? `\nKontext: ${site.aiContext}` : ''}`;
 
   const seoMetaLine = focusKW ? `Fokus-Keyword (Yoast): ${focusKW}` : 'Fokus-Keyword: NICHT GESETZT';
   const yoastMeta = article.seo?.seoTitle ? `\nYoast Meta-Title: ${article.seo.seoTitle}` : '';
   const yoastDesc = article.seo?.seoDescription ? `\nYoast Meta-Desc: ${article.seo.seoDescription}` : '';
 
-  const userMsg = `Titel: ${article.title}\nURL: ${article.url}\nSlug: ${article.slug}\n${seoMetaLine}${yoastMeta}${yoastDesc}\nWörter: ${article.wordCount}\nH2: ${article.structure.h2Count} | H3: ${article.structure.h3Count} | Bilder: ${article.structure.hasImages} | Int. Links: ${article.structure.internalLinks} | Ext. Links: ${article.structure.externalLinks}\n\nÜberschriften:\n${article.headings.map(h => `${h.level}: ${h.text}`).join('\n')}\n\nVolltext:\n${text}`;
+  const userMsg = `Titel: ${article.title}\nURL: ${article.url}\nSlug: ${article.slug}\n${seoMetaLine}${yoastMeta}${yoastDesc}\nWörter: ${article.wordCount}\nH2: ${article.structure.h2Count} | H3: ${article.structure.h3Count} | Bilder: ${article.structure.hasImages} | Int. Links: ${article.structure.internalLinks} | Ext. Links: ${article.structure.externalLinks}\n\nGeprüfte Fakten (exakt berechnet):\n${auditFacts(audit)}\n\nÜberschriften:\n${audit.headings.map(h => `H${h.level}: ${h.text}`).join('\n')}\n\nVolltext:\n${text}`;
 
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-    },
-    body: JSON.stringify({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      system: systemPrompt,
-      messages: [{ role: 'user', content: userMsg }],
-    }),
+  const messages = [{ role: 'user', content: userMsg }];
+  const ask = (msgs) => claudeMessages({ model: REVIEW_MODEL, max_tokens: 2000, system: systemPrompt, messages: msgs }, { deadline });
+  const textOf = (data) => data.content?.map(c => c.text || '').join('') || '';
+
+  const data = await ask(messages);
+  const raw = textOf(data);
+  const facts = auditKeywordAnalysis(audit);
+  let result = parseReview(raw, facts);
+  let repaired = false;
+  if (result.problems.length) {
+    // One repair round-trip: the model sees its answer and what is wrong with it
+    try {
+      const fixed = parseReview(textOf(await ask([
+        ...messages,
+        { role: 'assistant', content: raw },
+        { role: 'user', content: reviewRepairPrompt(result.problems) },
+      ])), facts);
+      if (fixed.parsed && (!result.parsed || fixed.problems.length <= result.problems.length)) {
+        result = fixed;
+        repaired = true;
+      }
+    } catch (err) {
+      if (!result.parsed) throw err;
+      console.error(`aiReview repair for post ${postId} failed:`, err.message);
+    }
+  }
+  if (!result.parsed) throw new Error(`JSON parse error: ${result.raw.substring(0, 200)}`);
+
+  const { review, problems: validationWarnings } = result;
+  // A lost history entry must not cost the (paid) review itself
+  const entry = await recordReview(article, review, data.model || REVIEW_MODEL, validationWarnings).catch(err => {
+    console.error(`Review history for post ${postId} not saved:`, err.message);
+    return null;
   });
+  return {
+    article,
+    review,
+    seoAudit: audit,
+    validationWarnings,
+    repaired,
+    history: entry && { id: entry.id, revision: entry.revision, promptVersion: entry.promptVersion, model: entry.model },
+  };
+}
+
+// ─── Review-Historie ──────────────────────────────────────────────────────────
+// Every aiReview is appended to the post's history together with the model,
+// REVIEW_PROMPT_VERSION and a hash of the reviewed article revision (title,
+// HTML, Yoast fields), so score changes can be tied to edits.
+// REVIEW_HISTORY_ADAPTER: "store" (default, a list per post in the key-value
+// store from STORE_ADAPTER) or "file" (one JSONL file per post in
+// REVIEW_HISTORY_DIR, default /tmp/goldesel-proxy/reviews). Only "store" on
+// top of STORE_ADAPTER=kv survives cold starts and is shared by all instances.
+// Interface: append(siteId, postId, entry), list(siteId, postId) → oldest first
+const REVIEW_PROMPT_VERSION = 3;   // bump whenever the aiReview prompt changes
+const REVIEW_HISTORY_LIMIT = 50;   // entries kept per post
+const REVIEW_SCORES = ['score', 'seoScore', 'qualityScore', 'productScore'];
+const REVIEW_HISTORY_LOCK_TTL = 10;          // seconds; an append that died frees the post after this
+const REVIEW_HISTORY_LOCK_WAIT_MS = 5000;
+
+// The list is read, extended and written back, so appends to the same post
+// take turns via a setIfAbsent lock — otherwise parallel reviews drop entries
+function createStoreReviewHistory(store) {
+  const keyFor = (siteId, postId) => `reviews:${siteId}:${postId}`;
+  async function withLock(key, fn) {
+    const lockKey = `${key}:lock`;
+    const owner = crypto.randomUUID();
+    const giveUpAt = Date.now() + REVIEW_HISTORY_LOCK_WAIT_MS;
+    while (!(await store.setIfAbsent(lockKey, owner, REVIEW_HISTORY_LOCK_TTL))) {
+      if (Date.now() > giveUpAt) throw new Error(`Review history ${key} is locked by another append`);
+      await sleep(25 + Math.random() * 50);
+    }
+    try {
+      return await fn();
+    } finally {
+      // Not ours any more if the TTL ran out and another append took over
+      if ((await store.get(lockKey)) === owner) await store.delete(lockKey);
+    }
+  }
+  return {
+    async append(siteId, postId, entry) {
+      const key = keyFor(siteId, postId);
+      await withLock(key, async () => {
+        const list = (await store.get(key)) || [];
+        list.push(entry);
+        await store.set(key, list.slice(-REVIEW_HISTORY_LIMIT));
+      });
+    },
+    async list(siteId, postId) {
+      return (await store.get(keyFor(siteId, postId))) || [];
+    },
+  };
+}
+
+function createFileReviewHistory(dir) {
+  const fs = require('fs/promises');
+  const path = require('path');
+  const fileFor = (siteId, postId) => path.join(dir, `${siteId}-${parseInt(postId)}.jsonl`);
+  return {
+    async append(siteId, postId, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.appendFile(fileFor(siteId, postId), `${JSON.stringify(entry)}\n`);
+    },
+    async list(siteId, postId) {
+      try {
+        const lines = (await fs.readFile(fileFor(siteId, postId), 'utf8')).split('\n').filter(Boolean);
+        return lines.slice(-REVIEW_HISTORY_LIMIT).map(line => JSON.parse(line));
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+    },
+  };
+}
 
-  if (!response.ok) {
-    const errText = await response.text();
-    throw new Error(`Claude API error (${response.status}): ${errText}`);
+let _reviewHistory = null;
+function getReviewHistory() {
+  if (_reviewHistory) return _reviewHistory;
+  const adapter = process.env.REVIEW_HISTORY_ADAPTER || 'store';
+  switch (adapter) {
+    case 'store': _reviewHistory = createStoreReviewHistory(getStore()); break;
+    case 'file': _reviewHistory = createFileReviewHistory(process.env.REVIEW_HISTORY_DIR || '/tmp/goldesel-proxy/reviews'); break;
+    default: throw new Error(`Unknown review history adapter "${adapter}"`);
   }
+  return _reviewHistory;
+}
 
-  const data = await response.json();
-  const raw = data.content?.map(c => c.text || '').join('') || '';
-  const cleaned = raw.replace(/```json|```/g, '').trim();
+// Short hash of what the model saw — a new value means the article was edited
+const articleRevision = (article) => sha256(JSON.stringify([article.title, article.contentHtml, article.seo])).toString('hex').slice(0, 16);
+
+async function recordReview(article, review, model, validationWarnings = []) {
+  const entry = {
+    id: crypto.randomUUID(),
+    postId: article.id,
+    reviewedAt: new Date().toISOString(),
+    model,
+    promptVersion: REVIEW_PROMPT_VERSION,
+    revision: articleRevision(article),
+    ...Object.fromEntries(REVIEW_SCORES.map(k => [k, review[k] ?? null])),
+    validationWarnings,
+    review,
+  };
+  await getReviewHistory().append(currentSite().id, article.id, entry);
+  return entry;
+}
+
+// Items of `from` / `to` compared case- and whitespace-insensitively
+function diffLists(from = [], to = []) {
+  const norm = (str) => String(str).toLowerCase().replace(/\s+/g, ' ').trim();
+  const before = new Set(from.map(norm));
+  const after = new Set(to.map(norm));
+  return {
+    added: to.filter(item => !before.has(norm(item))),
+    removed: from.filter(item => !after.has(norm(item))),
+    kept: to.filter(item => before.has(norm(item))),
+  };
+}
+
+function diffReviews(from, to) {
+  return {
+    from: from.id,
+    to: to.id,
+    sameRevision: from.revision === to.revision,
+    samePrompt: from.promptVersion === to.promptVersion && from.model === to.model,
+    scores: Object.fromEntries(REVIEW_SCORES.map(k => [k, {
+      from: from[k],
+      to: to[k],
+      change: from[k] == null || to[k] == null ? null : to[k] - from[k],
+    }])),
+    strengths: diffLists(from.review?.strengths, to.review?.strengths),
+    weaknesses: diffLists(from.review?.weaknesses, to.review?.weaknesses),
+  };
+}
+
+// ?postId= → all stored reviews, score trend across article revisions (last
+// review per revision) and a diff of two reviews: ?from=&to= (review ids),
+// default the two newest
+async function reviewHistory(params = {}) {
+  const postId = parseInt(params.postId);
+  if (!(postId > 0)) throw httpError(400, 'postId parameter required');
+  const entries = await getReviewHistory().list(currentSite().id, postId);
+
+  const reviews = entries.map((e, i) => ({
+    id: e.id,
+    reviewedAt: e.reviewedAt,
+    model: e.model,
+    promptVersion: e.promptVersion,
+    revision: e.revision,
+    revisionChanged: i > 0 && e.revision !== entries[i - 1].revision,
+    ...Object.fromEntries(REVIEW_SCORES.map(k => [k, e[k]])),
+  }));
+
+  const perRevision = entries.filter((e, i) => i === entries.length - 1 || e.revision !== entries[i + 1].revision);
+  const trend = perRevision.length ? Object.fromEntries(REVIEW_SCORES.map(k => {
+    const values = perRevision.map(e => e[k]).filter(v => v != null);
+    return [k, values.length ? {
+      first: values[0],
+      latest: values[values.length - 1],
+      change: values[values.length - 1] - values[0],
+      min: Math.min(...values),
+      max: Math.max(...values),
+    } : null];
+  })) : null;
+
+  let diff = null;
+  const byId = (id) => {
+    const entry = entries.find(e => e.id === id);
+    if (!entry) throw httpError(404, `Review "${id}" not found for post ${postId}`);
+    return entry;
+  };
+  if (params.from || params.to) {
+    if (!params.from || !params.to) throw httpError(400, 'from and to are both required');
+    diff = diffReviews(byId(params.from), byId(params.to));
+  } else if (entries.length >= 2) {
+    diff = diffReviews(entries[entries.length - 2], entries[entries.length - 1]);
+  }
+
+  return {
+    postId,
+    count: reviews.length,
+    revisions: perRevision.length,
+    reviews,
+    trend,
+    diff,
+  };
+}
+
+// ─── Batch-Review-Job ─────────────────────────────────────────────────────────
+// reviewBatch (POST) creates a job over body.postIds or the whole review queue
+// (all: true → reviewCandidates) and reviews with `concurrency` parallel calls
+// until REVIEW_JOB_BUDGET_MS, then returns. POST reviewBatch { jobId } resumes
+// it; every finished review is saved right away. Reviews still running at
+// REVIEW_JOB_DEADLINE_MS (review + repair can take longer than what is left
+// of maxDuration) are aborted and stay pending for the next slice.
+const REVIEW_JOB_DEFAULTS = { concurrency: 2 };
+const REVIEW_JOB_MAX_CONCURRENCY = 5;
+const REVIEW_JOB_MAX_POSTS = 100;
+const REVIEW_JOB_MAX_ATTEMPTS = 2;
+const REVIEW_JOB_BUDGET_MS = 35 * 1000;   // no review starts later
+const REVIEW_JOB_DEADLINE_MS = 50 * 1000; // running Claude calls are aborted (maxDuration: 60)
+const REVIEW_JOB_LEASE = 90;              // seconds one invocation owns the job
+const REVIEW_JOB_TTL = 7 * 24 * 60 * 60;
+
+const reviewJobKey = (jobId) => `reviewjob:${currentSite().id}:${jobId}`;
+const latestReviewJobKey = () => `reviewjob-latest:${currentSite().id}`;
+
+function reviewJobStatus(job, { details = false } = {}) {
+  const items = job.postIds.map(id => ({ postId: id, ...job.items[id] }));
+  const count = (status) => items.filter(i => i.status === status).length;
+  const finished = count('done') + count('failed');
+  return {
+    jobId: job.id,
+    status: job.status,
+    total: items.length,
+    done: count('done'),
+    failed: count('failed'),
+    pending: count('pending'),
+    progress: Math.round((finished / items.length) * 100),
+    retryAfter: job.retryAt && job.retryAt > Date.now() ? new Date(job.retryAt).toISOString() : null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt || null,
+    results: items.map(({ review, ...item }) => (details ? { ...item, review } : item)),
+  };
+}
+
+async function createReviewJob(body) {
+  let postIds;
+  if (body.all === true) {
+    postIds = (await reviewCandidates()).map(p => p.id);
+  } else {
+    if (!Array.isArray(body.postIds) || !body.postIds.length) {
+      throw httpError(400, 'reviewBatch requires postIds (array), all: true or jobId');
+    }
+    postIds = body.postIds.map(id => parseInt(id));
+    if (postIds.some(id => !(id > 0))) throw httpError(400, 'postIds must be positive integers');
+  }
+  postIds = [...new Set(postIds)];
+  if (postIds.length > REVIEW_JOB_MAX_POSTS) throw httpError(400, `At most ${REVIEW_JOB_MAX_POSTS} posts per job`);
+
+  const { concurrency } = numericOptions(body, REVIEW_JOB_DEFAULTS, ['concurrency']);
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    status: 'running',
+    concurrency: Math.min(concurrency, REVIEW_JOB_MAX_CONCURRENCY),
+    postIds,
+    items: Object.fromEntries(postIds.map(id => [id, { status: 'pending', attempts: 0 }])),
+    createdAt: now,
+    updatedAt: now,
+    retryAt: null,
+    leaseUntil: null,
+  };
+}
+
+// Works through the pending posts until the budget is used or Claude keeps
+// rate-limiting; failed reviews are retried once at the end of the queue.
+// Progress is saved and the lease released even if the slice throws.
+async function runReviewJobSlice(job) {
+  const store = getStore();
+  const startBy = Date.now() + REVIEW_JOB_BUDGET_MS;
+  const deadline = Date.now() + REVIEW_JOB_DEADLINE_MS;
+  const save = () => {
+    job.updatedAt = new Date().toISOString();
+    return store.set(reviewJobKey(job.id), job, REVIEW_JOB_TTL);
+  };
 
+  const queue = job.postIds.filter(id => job.items[id].status === 'pending');
+  let rateLimited = false;
+  const worker = async () => {
+    while (queue.length && !rateLimited && Date.now() < startBy) {
+      const postId = queue.shift();
+      const item = job.items[postId];
+      item.attempts += 1;
+      try {
+        const { article, review, validationWarnings, history } = await aiReview(postId, { deadline });
+        Object.assign(item, {
+          status: 'done',
+          reviewId: history?.id || null,
+          title: decodeEntities(article.title),
+          url: article.url,
+          reviewedAt: new Date().toISOString(),
+          score: review.score ?? null,
+          seoScore: review.seoScore ?? null,
+          qualityScore: review.qualityScore ?? null,
+          productScore: review.productScore ?? null,
+          validationWarnings,
+          error: null,
+          review,
+        });
+      } catch (err) {
+        if (err.rateLimited) {
+          // Not the post's fault: back to pending, pause the whole job
+          item.attempts -= 1;
+          rateLimited = true;
+          job.retryAt = Date.now() + err.retryAfterMs;
+        } else if (err.deadlineExceeded) {
+          // Out of time, not the post's fault: the next slice picks it up again
+          item.attempts -= 1;
+        } else {
+          item.error = err.message;
+          item.status = item.attempts >= REVIEW_JOB_MAX_ATTEMPTS ? 'failed' : 'pending';
+          if (item.status === 'pending') queue.push(postId);
+        }
+      }
+      await save();
+    }
+  };
   try {
-    const review = JSON.parse(cleaned);
-    return { article, review };
-  } catch (e) {
-    throw new Error(`JSON parse error: ${cleaned.substring(0, 200)}`);
+    await Promise.all(Array.from({ length: job.concurrency }, worker));
+    if (job.postIds.every(id => job.items[id].status !== 'pending')) {
+      job.status = 'done';
+      job.finishedAt = new Date().toISOString();
+    }
+  } finally {
+    job.leaseUntil = null;
+    await save();
+  }
+}
+
+async function reviewBatch(body = {}) {
+  const store = getStore();
+  let job;
+  if (body.jobId) {
+    job = await store.get(reviewJobKey(body.jobId));
+    if (!job) throw httpError(404, `Review job "${body.jobId}" not found (expired?)`);
+    if (job.status === 'done') return reviewJobStatus(job);
+    if (job.leaseUntil && job.leaseUntil > Date.now()) throw httpError(409, 'Review job is already being processed');
+    if (job.retryAt && job.retryAt > Date.now()) return reviewJobStatus(job);
+  } else {
+    job = await createReviewJob(body);
+    await store.set(latestReviewJobKey(), job.id, REVIEW_JOB_TTL);
+  }
+
+  job.leaseUntil = Date.now() + REVIEW_JOB_LEASE * 1000;
+  job.retryAt = null;
+  await store.set(reviewJobKey(job.id), job, REVIEW_JOB_TTL);
+  await runReviewJobSlice(job);
+  return reviewJobStatus(job);
+}
+
+// ?jobId= (default: the site's latest job), details=1 includes the full reviews
+async function reviewJob(params = {}) {
+  const store = getStore();
+  const jobId = params.jobId || await store.get(latestReviewJobKey());
+  if (!jobId) throw httpError(404, 'No review job found');
+  const job = await store.get(reviewJobKey(jobId));
+  if (!job) throw httpError(404, `Review job "${jobId}" not found (expired?)`);
+  return reviewJobStatus(job, { details: ['1', 'true'].includes(String(params.details)) });
+}
+
+// ─── Review-Vorschläge → Yoast ────────────────────────────────────────────────
+// applyReviewSuggestions writes metaTitleSuggestion, metaDescriptionSuggestion
+// and keywordAnalysis.suggestedKeyword of a stored review (body.reviewId,
+// default the newest) to the post's Yoast fields. body.fields selects which,
+// body.values overrides the suggested text, dryRun: true only previews.
+// Every applied change keeps the previous values; undoReviewSuggestions
+// restores them. Writing needs the Yoast meta keys exposed via REST:
+/*
+  === WP CODE SNIPPET (Add to functions.php or Code Snippets Plugin) ===
+
+  add_action('init', function() {
+    foreach (['_yoast_wpseo_title', '_yoast_wpseo_metadesc', '_yoast_wpseo_focuskw'] as $key) {
+      register_post_meta('post', $key, array(
+        'show_in_rest' => true,
+        'single' => true,
+        'type' => 'string',
+        'auth_callback' => function() { return current_user_can('edit_posts'); },
+      ));
+    }
+  });
+
+  === END SNIPPET ===
+*/
+const YOAST_FIELDS = {
+  title: { meta: '_yoast_wpseo_title', suggestion: (r) => r.metaTitleSuggestion, limit: SEO_LIMITS.titleLength },
+  description: { meta: '_yoast_wpseo_metadesc', suggestion: (r) => r.metaDescriptionSuggestion, limit: SEO_LIMITS.metaLength },
+  focusKeyword: { meta: '_yoast_wpseo_focuskw', suggestion: (r) => r.keywordAnalysis?.suggestedKeyword },
+};
+const YOAST_CHANGE_TTL = 90 * 24 * 60 * 60;
+const YOAST_CHANGES_PER_POST = 20;
+
+const yoastChangeKey = (changeId) => `yoast-change:${currentSite().id}:${changeId}`;
+const yoastChangesKey = (postId) => `yoast-changes:${currentSite().id}:${postId}`;
+
+// Raw Yoast meta of a post; null if the meta keys are not exposed via REST
+async function fetchYoastMeta(postId) {
+  const post = await wpFetch(`posts/${postId}?context=edit&_fields=id,meta`);
+  const meta = post.meta || {};
+  if (!Object.values(YOAST_FIELDS).every(f => f.meta in meta)) return null;
+  return Object.fromEntries(Object.values(YOAST_FIELDS).map(f => [f.meta, meta[f.meta] || '']));
+}
+
+// Which of the meta `values` WP stored, read from the post it returned. WP
+// drops meta keys that are not registered for REST without an error while the
+// rest of the write goes through, so every Yoast write answers 200 with
+// partial: true and a warning instead of failing.
+function metaWriteResult(post, values) {
+  const missing = Object.keys(values).filter(k => post.meta?.[k] !== values[k]);
+  return {
+    stored: Object.keys(values).filter(k => !missing.includes(k)),
+    partial: missing.length > 0,
+    warnings: missing.length ? [`Partial update: WordPress did not store ${missing.join(', ')} — is the Yoast REST snippet installed?`] : [],
+    modified: post.modified,
+  };
+}
+
+async function writeYoastMeta(postId, values) {
+  const post = await wpWrite(`posts/${postId}?context=edit`, { meta: values });
+  return metaWriteResult(post, values);
+}
+
+async function applyReviewSuggestions(body = {}) {
+  const postId = parseInt(body.postId);
+  if (!(postId > 0)) throw httpError(400, 'postId required');
+  const fields = toList(body.fields || Object.keys(YOAST_FIELDS));
+  const unknown = fields.filter(f => !YOAST_FIELDS[f]);
+  if (unknown.length) throw httpError(400, `fields must be a list of: ${Object.keys(YOAST_FIELDS).join(', ')}`);
+
+  const history = await getReviewHistory().list(currentSite().id, postId);
+  const entry = body.reviewId ? history.find(e => e.id === body.reviewId) : history[history.length - 1];
+  if (!entry) throw httpError(404, body.reviewId ? `Review "${body.reviewId}" not found for post ${postId}` : `No stored review for post ${postId} — run aiReview first`);
+
+  const current = await fetchYoastMeta(postId);
+  if (!current && body.dryRun !== true) {
+    throw httpError(409, 'Yoast meta fields are not exposed via the WP REST API — install the snippet first');
+  }
+
+  const warnings = current ? [] : ['Yoast meta fields are not exposed via the WP REST API — current values unknown, applying needs the snippet'];
+  const changes = fields.map(field => {
+    const { meta, suggestion, limit } = YOAST_FIELDS[field];
+    const after = String(body.values?.[field] ?? suggestion(entry.review) ?? '').trim();
+    const before = current ? current[meta] : null;
+    if (!after) warnings.push(`${field}: review has no suggestion — skipped`);
+    else if (limit && (after.length < limit[0] || after.length > limit[1])) {
+      warnings.push(`${field}: ${after.length} characters (recommended ${limit.join('–')})`);
+    }
+    return { field, meta, before, after, changed: !!after && after !== before };
+  });
+  const toWrite = changes.filter(c => c.changed);
+  const result = { postId, reviewId: entry.id, dryRun: body.dryRun === true, changes, warnings, partial: false, changeId: null };
+  if (result.dryRun || !toWrite.length) return result;
+
+  const written = await writeYoastMeta(postId, Object.fromEntries(toWrite.map(c => [c.meta, c.after])));
+  const response = { ...result, warnings: [...warnings, ...written.warnings], partial: written.partial, modified: written.modified };
+  if (!written.stored.length) return response;
+
+  // Recorded after the write, and only what WP stored — undo never restores
+  // fields this change did not touch
+  const stored = toWrite.filter(c => written.stored.includes(c.meta));
+  const change = {
+    id: crypto.randomUUID(),
+    postId,
+    reviewId: entry.id,
+    appliedAt: new Date().toISOString(),
+    previous: Object.fromEntries(stored.map(c => [c.meta, c.before])),
+    applied: Object.fromEntries(stored.map(c => [c.meta, c.after])),
+    undoneAt: null,
+  };
+  const store = getStore();
+  await store.set(yoastChangeKey(change.id), change, YOAST_CHANGE_TTL);
+  const ids = (await store.get(yoastChangesKey(postId))) || [];
+  await store.set(yoastChangesKey(postId), [...ids, change.id].slice(-YOAST_CHANGES_PER_POST), YOAST_CHANGE_TTL);
+
+  return { ...response, changeId: change.id };
+}
+
+// body.changeId, or body.postId → the post's newest change. Refuses (409) if
+// the fields were edited since, unless force: true
+async function undoReviewSuggestions(body = {}) {
+  const store = getStore();
+  let changeId = body.changeId;
+  if (!changeId && body.postId) {
+    const ids = (await store.get(yoastChangesKey(parseInt(body.postId)))) || [];
+    changeId = ids[ids.length - 1];
+  }
+  if (!changeId) throw httpError(400, 'changeId or postId required');
+  const change = await store.get(yoastChangeKey(changeId));
+  if (!change) throw httpError(404, `Change "${changeId}" not found (expired?)`);
+  if (change.undoneAt) throw httpError(409, `Change "${changeId}" was already undone at ${change.undoneAt}`);
+
+  const current = await fetchYoastMeta(change.postId);
+  if (!current) throw httpError(409, 'Yoast meta fields are not exposed via the WP REST API — install the snippet first');
+  const editedSince = Object.keys(change.applied).filter(k => current[k] !== change.applied[k]);
+  if (editedSince.length && body.force !== true) {
+    throw httpError(409, `Edited since the change was applied: ${editedSince.join(', ')} — send force: true to restore anyway`);
+  }
+
+  const written = await writeYoastMeta(change.postId, change.previous);
+  // Only a complete restore closes the change; a partial one can be retried
+  if (!written.partial) {
+    change.undoneAt = new Date().toISOString();
+    await store.set(yoastChangeKey(change.id), change, YOAST_CHANGE_TTL);
   }
+  return {
+    changeId: change.id,
+    postId: change.postId,
+    restored: Object.entries(change.previous)
+      .filter(([meta]) => written.stored.includes(meta))
+      .map(([meta, value]) => ({ meta, before: current[meta], after: value })),
+    partial: written.partial,
+    warnings: written.warnings,
+    modified: written.modified,
+    undoneAt: change.undoneAt,
+  };
 }
 
-async function monthlyStats() {
+// Keys stay thisMonth/lastMonth for the dashboard; with start/end/compare they
+// hold the selected range and its comparison range.
+async function monthlyStats(params = {}) {
   const client = getGA4Client();
-  const now = new Date();
-  const firstDayThisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-  const lastDayLastMonth = new Date(firstDayThisMonth - 1);
-  const firstDayLastMonth = new Date(lastDayLastMonth.getFullYear(), lastDayLastMonth.getMonth(), 1);
+  const range = resolveRange(params, 'thisMonth');
+  const dateRanges = [{ startDate: range.startDate, endDate: range.endDate, name: 'thisMonth' }];
+  if (range.compare) dateRanges.push({ startDate: range.compare.startDate, endDate: range.compare.endDate, name: 'lastMonth' });
 
   const [response] = await client.runReport({
-    property: propertyId,
-    dateRanges: [
-      { startDate: fmtDate(firstDayThisMonth), endDate: fmtDate(now), name: 'thisMonth' },
-      { startDate: fmtDate(firstDayLastMonth), endDate: fmtDate(lastDayLastMonth), name: 'lastMonth' },
-    ],
+    property: currentSite().ga4PropertyId,
+    dateRanges,
     metrics: [
       { name: 'screenPageViews' },
       { name: 'sessions' },
@@ -891,7 +2401,9 @@ async function monthlyStats() {
   });
 
   const extract = (name) => {
-    const row = response.rows?.find(r => r.dimensionValues?.[0]?.value === name);
+    const row = dateRanges.length > 1
+      ? response.rows?.find(r => r.dimensionValues?.[0]?.value === name)
+      : (name === 'thisMonth' ? response.rows?.[0] : null);
     if (!row) return { pageviews: 0, sessions: 0, newUsers: 0, totalUsers: 0 };
     return {
       pageviews: parseInt(row.metricValues[0].value),
@@ -907,63 +2419,108 @@ async function monthlyStats() {
 
   return {
     thisMonth, lastMonth,
-    delta: {
+    delta: range.compare ? {
       pageviews: delta(thisMonth.pageviews, lastMonth.pageviews),
       sessions: delta(thisMonth.sessions, lastMonth.sessions),
       newUsers: delta(thisMonth.newUsers, lastMonth.newUsers),
-    }
+    } : null,
+    range,
   };
 }
 
-async function newArticlesThisMonth() {
-  const now = new Date();
-  const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
-  const articles = await getArticlesWithChannels({ startDate: fmtDate(firstDay), endDate: fmtDate(now), limit: 100 });
+async function newArticlesThisMonth(params = {}) {
+  const range = resolveRange(params, 'thisMonth', 'none');
+  const articles = await getArticlesWithChannels({ range, limit: 100 });
   const totalPageviews = articles.reduce((s, a) => s + a.pageviews, 0);
   return {
     count: articles.length,
     pageviews: totalPageviews,
     avgPageviews: articles.length > 0 ? Math.round(totalPageviews / articles.length) : 0,
     articles: articles.map(a => ({ title: a.title, url: a.url, date: a.date, pageviews: a.pageviews })),
+    range,
   };
 }
 
 // ─── Search Console Helper ────────────────────────────────────────────────────
-async function searchConsoleForPath(path, excludePath = null) {
-  const sc = getSearchConsoleClient();
-  const now = new Date();
-  const endDate = fmtDate(now);
-  const startDate = fmtDate(new Date(now.getFullYear(), now.getMonth(), 1));
-  const firstDayThisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-  const lastDayLastMonth = new Date(firstDayThisMonth - 1);
-  const firstDayLastMonth = new Date(lastDayLastMonth.getFullYear(), lastDayLastMonth.getMonth(), 1);
-  const prevStart = fmtDate(firstDayLastMonth);
-  const prevEnd = fmtDate(lastDayLastMonth);
-
-  // Filter: include path, optionally exclude a sub-path
-  // Filters within a group are AND'd
-  const makeFilters = () => {
-    const filters = [{ dimension: 'page', operator: 'contains', expression: path }];
-    if (excludePath) filters.push({ dimension: 'page', operator: 'notContains', expression: excludePath });
-    return [{ filters }];
-  };
+// Filters are described by a flat spec that is shared by the `searchconsole`
+// query parameters and the gscSections presets in the site config:
+//   include / includeRegex / includeEquals   → page must match
+//   exclude / excludeRegex / excludeEquals   → page must not match
+//   filterDimension                          → page (default), query, device, country
+// Every key takes a string or a list; all filters are AND'd.
+const GSC_DIMENSIONS = ['query', 'page', 'device', 'country', 'date'];
+const GSC_METRICS = ['clicks', 'impressions', 'ctr', 'position'];
+const GSC_FILTER_OPERATORS = {
+  include: 'contains',
+  includeRegex: 'includingRegex',
+  includeEquals: 'equals',
+  exclude: 'notContains',
+  excludeRegex: 'excludingRegex',
+  excludeEquals: 'notEquals',
+};
+const GSC_MAX_ROWS = 25000;
 
-  // Each call independently wrapped so one failure doesn't block all
-  const safeQuery = async (params) => {
+const toList = (value) => (value === undefined || value === null || value === '' ? [] : [].concat(value));
+
+// Filter spec → GSC dimensionFilterGroups (null when nothing is filtered)
+function gscFilters(spec = {}) {
+  const dimension = spec.filterDimension || 'page';
+  if (!GSC_DIMENSIONS.includes(dimension) || dimension === 'date') {
+    throw httpError(400, `filterDimension must be one of: ${GSC_DIMENSIONS.filter(d => d !== 'date').join(', ')}`);
+  }
+  const filters = [];
+  Object.entries(GSC_FILTER_OPERATORS).forEach(([key, operator]) => {
+    toList(spec[key]).forEach(expression => {
+      if (operator.endsWith('Regex')) {
+        // GSC uses RE2 — catch obvious syntax errors here instead of an empty result
+        try { new RegExp(expression); } catch (err) { throw httpError(400, `${key}: invalid regex "${expression}"`); }
+      }
+      filters.push({ dimension, operator, expression: String(expression) });
+    });
+  });
+  return filters.length ? [{ filters }] : null;
+}
+
+const gscRow = (r, fields) => ({
+  ...Object.fromEntries(fields.map((f, i) => [f, r.keys[i]])),
+  clicks: Math.round(r.clicks),
+  impressions: Math.round(r.impressions),
+  ctr: Math.round(r.ctr * 1000) / 10,
+  position: Math.round(r.position * 10) / 10,
+});
+
+// Summary (+ delta vs. the comparison range) and one row table per entry in
+// `tables` ({ name: [dimension, …] }), all with the same filters.
+// A failed query counts as empty unless throwOnError is set — results that get
+// cached need it, or an outage would be cached as "no data" for hours.
+async function searchConsoleReport(filterGroups, params, tables, { rowLimit = 10, orderBy = 'clicks', throwOnError = false } = {}) {
+  const sc = getSearchConsoleClient();
+  const siteUrl = currentSite().gscSiteUrl;
+  const range = resolveRange(params, 'thisMonth');
+  const { startDate, endDate } = range;
+  // Without a comparison range the prev summary query is skipped (delta → null)
+  const { startDate: prevStart, endDate: prevEnd } = range.compare || {};
+  const withFilters = filterGroups ? { dimensionFilterGroups: filterGroups } : {};
+
+  // Each call independently wrapped so one failure doesn't block all
+  const safeQuery = async (requestBody) => {
     try {
-      const result = await sc.searchanalytics.query(params);
-      return result;
+      return await sc.searchanalytics.query({ siteUrl, requestBody: { ...requestBody, ...withFilters } });
     } catch (err) {
-      console.error(`GSC query failed for path="${path}":`, err.message);
+      console.error(`GSC query failed for filters=${JSON.stringify(filterGroups)}:`, err.message);
+      if (throwOnError) throw err;
       return { data: { rows: [] } };
     }
   };
 
-  const [summary, prevSummary, keywords, pages] = await Promise.all([
-    safeQuery({ siteUrl: GSC_SITE, requestBody: { startDate, endDate, dimensionFilterGroups: makeFilters() } }),
-    safeQuery({ siteUrl: GSC_SITE, requestBody: { startDate: prevStart, endDate: prevEnd, dimensionFilterGroups: makeFilters() } }),
-    safeQuery({ siteUrl: GSC_SITE, requestBody: { startDate, endDate, dimensions: ['query'], dimensionFilterGroups: makeFilters(), rowLimit: 10, orderBy: [{ fieldName: 'clicks', sortOrder: 'DESCENDING' }] } }),
-    safeQuery({ siteUrl: GSC_SITE, requestBody: { startDate, endDate, dimensions: ['page'], dimensionFilterGroups: makeFilters(), rowLimit: 10, orderBy: [{ fieldName: 'clicks', sortOrder: 'DESCENDING' }] } }),
+  const tableEntries = Object.entries(tables);
+  const [summary, prevSummary, ...tableResults] = await Promise.all([
+    safeQuery({ startDate, endDate }),
+    range.compare ? safeQuery({ startDate: prevStart, endDate: prevEnd }) : { data: { rows: [] } },
+    ...tableEntries.map(([, dimensions]) => safeQuery({
+      startDate, endDate, dimensions, rowLimit,
+      orderBy: [{ fieldName: orderBy, sortOrder: orderBy === 'position' ? 'ASCENDING' : 'DESCENDING' }],
+    })),
   ]);
 
   const s = summary.data.rows?.[0] || { clicks: 0, impressions: 0, ctr: 0, position: 0 };
@@ -977,121 +2534,796 @@ async function searchConsoleForPath(path, excludePath = null) {
       ctr: Math.round(s.ctr * 1000) / 10,
       position: Math.round(s.position * 10) / 10,
     },
-    delta: {
+    delta: range.compare ? {
       clicks: delta(s.clicks, p.clicks),
       impressions: delta(s.impressions, p.impressions),
       ctr: Math.round((s.ctr - p.ctr) * 1000) / 10,
       position: Math.round((p.position - s.position) * 10) / 10,
-    },
-    keywords: keywords.data.rows?.map(r => ({
-      keyword: r.keys[0],
-      clicks: Math.round(r.clicks),
-      impressions: Math.round(r.impressions),
-      ctr: Math.round(r.ctr * 1000) / 10,
-      position: Math.round(r.position * 10) / 10,
-    })) || [],
-    pages: pages.data.rows?.map(r => ({
-      page: r.keys[0],
-      clicks: Math.round(r.clicks),
-      impressions: Math.round(r.impressions),
-      ctr: Math.round(r.ctr * 1000) / 10,
-      position: Math.round(r.position * 10) / 10,
-    })) || [],
-  };
-}
-
-// Redaktionelle Artikel: goldesel.de/news/ aber NICHT /aktien/news/
-// Verwende Regex statt contains+notContains für zuverlässigere Filterung
-async function searchConsoleNews() {
-  return searchConsoleForPathRegex(
-    '/news/',                              // include: URLs mit /news/
-    '^https://goldesel\\.de/aktien/news/'  // exclude regex: URLs die mit /aktien/news/ starten
+    } : null,
+    tables: Object.fromEntries(tableEntries.map(([name, dimensions], i) => [
+      name,
+      (tableResults[i].data.rows || []).map(r => gscRow(r, dimensions)),
+    ])),
+    range,
+  };
+}
+
+// Sections come from the site config (gscSections, plus GSC_SECTIONS_JSON for
+// the default site), e.g. for Goldesel:
+//   news       → goldesel.de/news/ aber NICHT /aktien/news/ (Regex statt contains+notContains für zuverlässigere Filterung)
+//   aktienNews → KI News: goldesel.de/aktien/news/
+function gscSection(name) {
+  const section = currentSite().gscSections[name];
+  if (!section) {
+    const available = Object.keys(currentSite().gscSections).join(', ') || '–';
+    throw httpError(400, `Search Console section "${name}" not configured for site "${currentSite().id}". Available: ${available}`);
+  }
+  return section;
+}
+
+// ?section=<preset> plus include/exclude params → { preset, spec } for gscFilters()
+function gscFilterSpec(params) {
+  const preset = params.section ? gscSection(params.section) : {};
+  const spec = { filterDimension: params.filterDimension || preset.filterDimension };
+  Object.keys(GSC_FILTER_OPERATORS).forEach(key => {
+    spec[key] = [...toList(preset[key]), ...toList(params[key])];
+  });
+  return { preset, spec };
+}
+
+// Generic report: ?section=<preset> and/or include/exclude filters,
+// dimensions=query,page,device,country,date, limit, orderBy + date range.
+// Filters from the query are added to those of the preset.
+async function searchConsole(params = {}) {
+  const { preset, spec } = gscFilterSpec(params);
+  const dimensions = toList(params.dimensions || preset.dimensions || 'query')
+    .flatMap(d => String(d).split(','))
+    .map(d => d.trim())
+    .filter(Boolean);
+  const unknown = dimensions.filter(d => !GSC_DIMENSIONS.includes(d));
+  if (unknown.length || !dimensions.length) throw httpError(400, `dimensions must be a list of: ${GSC_DIMENSIONS.join(', ')}`);
+
+  const orderBy = params.orderBy || 'clicks';
+  if (!GSC_METRICS.includes(orderBy)) throw httpError(400, `orderBy must be one of: ${GSC_METRICS.join(', ')}`);
+  // Daily series need one row per day (and combination), not just the top 25
+  const rowLimit = params.limit !== undefined && params.limit !== ''
+    ? parseInt(params.limit)
+    : (dimensions.includes('date') ? 1000 : 25);
+  if (!(rowLimit > 0 && rowLimit <= GSC_MAX_ROWS)) throw httpError(400, `limit must be between 1 and ${GSC_MAX_ROWS}`);
+
+  const filterGroups = gscFilters(spec);
+  const { summary, delta, tables, range } = await searchConsoleReport(filterGroups, params, { rows: dimensions }, { rowLimit, orderBy, throwOnError: true });
+  const rows = dimensions.includes('date') && !params.orderBy
+    ? tables.rows.sort((a, b) => a.date.localeCompare(b.date))
+    : tables.rows;
+
+  return {
+    section: params.section || null,
+    // Kept out of the top level so exports only see `rows` as a table
+    query: { dimensions, filters: filterGroups?.[0].filters || [], rowLimit, orderBy },
+    summary,
+    delta,
+    rows,
+    range,
+  };
+}
+
+// Preset actions (searchconsoleNews, searchconsoleAktienNews): top 10
+// keywords + pages of one configured section
+async function searchConsoleSection(name, params = {}) {
+  const { summary, delta, tables, range } = await searchConsoleReport(
+    gscFilters(gscSection(name)), params, { keywords: ['query'], pages: ['page'] }, { throwOnError: true }
   );
+  return {
+    summary,
+    delta,
+    keywords: tables.keywords.map(({ query, ...r }) => ({ keyword: query, ...r })),
+    pages: tables.pages,
+    range,
+  };
 }
-// KI News: goldesel.de/aktien/news/
-async function searchConsoleAktienNews() { return searchConsoleForPath('/aktien/news/'); }
 
-// Regex-basierte Variante für komplexere Filter
-async function searchConsoleForPathRegex(includePath, excludeRegex = null) {
-  const sc = getSearchConsoleClient();
-  const now = new Date();
-  const endDate = fmtDate(now);
-  const startDate = fmtDate(new Date(now.getFullYear(), now.getMonth(), 1));
-  const firstDayThisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-  const lastDayLastMonth = new Date(firstDayThisMonth - 1);
-  const firstDayLastMonth = new Date(lastDayLastMonth.getFullYear(), lastDayLastMonth.getMonth(), 1);
-  const prevStart = fmtDate(firstDayLastMonth);
-  const prevEnd = fmtDate(lastDayLastMonth);
-
-  const makeFilters = () => {
-    const filters = [{ dimension: 'page', operator: 'contains', expression: includePath }];
-    if (excludeRegex) {
-      filters.push({ dimension: 'page', operator: 'excludingRegex', expression: excludeRegex });
-    }
-    return [{ filters }];
+const searchConsoleNews = (params = {}) => searchConsoleSection('news', params);
+const searchConsoleAktienNews = (params = {}) => searchConsoleSection('aktienNews', params);
+
+// ─── Interne Verlinkung: Vorschläge + Waisen ─────────────────────────────────
+// The index holds every published post (up to LINK_INDEX_MAX_POSTS) as a
+// TF-IDF term vector over title, headings, focus keyword (boosted) and body,
+// plus the posts it links to. It is cached like a report (CACHE_TTLS.linkIndex).
+// Suggestions for a post rank the other posts by cosine similarity and GA4
+// views and need an anchor text that already occurs in the post's body.
+const LINK_INDEX_MAX_POSTS = 1000;
+const LINK_INDEX_TERMS = 40;       // strongest terms kept per post
+const LINK_SUGGESTION_DEFAULTS = {
+  limit: 10,
+  minSimilarity: 0.08,
+};
+const LINK_TRAFFIC_WEIGHT = 0.3;  // default share of the score from GA4 views (0–1)
+
+const GERMAN_STOPWORDS = new Set((
+  'aber alle allem allen aller alles als also andere anderen auch auf aus bei beim bereits bis bisher bzw dabei damit dann darauf '
+  + 'daran darum dass dazu dem den denen denn der deren des dessen die dies diese diesem diesen dieser dieses doch dort durch ein '
+  + 'eine einem einen einer eines einige etwa etwas euro für gegen geht gibt habe haben hat hatte hätte heute hier hinter ihre '
+  + 'ihrem ihren ihrer immer inzwischen jahr jahre jahren jedoch jetzt kann kein keine können könnte mehr mit muss nach neue '
+  + 'neuen nicht noch nun nur oder ohne prozent schon sehr seine seinem seinen seiner seit sich sie sind sodass sollte sowie '
+  + 'über um und uns unter viel viele vom von vor war waren warum weil weiter weitere wenn werden wie wieder will wird wurde '
+  + 'wurden zum zur zwar zwei zwischen'
+).split(' '));
+
+const indexTerms = (text) => normText(text)
+  .split(/[^a-z0-9äöüß]+/)
+  .filter(w => w.length >= 4 && !GERMAN_STOPWORDS.has(w) && !/^\d+$/.test(w));
+
+// Slugs of the site's own posts an HTML body links to
+function linkedSlugs(html) {
+  const hrefs = [...html.matchAll(/href\s*=\s*["']([^"']+)["']/gi)].map(m => m[1]);
+  return [...new Set(hrefs.map(href => slugFromPath(normalizePagePath(href))).filter(Boolean).map(slugKey))];
+}
+
+async function buildLinkIndex() {
+  const posts = await wpFetchAll('posts?status=publish&orderby=date&order=desc&_fields=id,title,link,slug,date,content,yoast_focuskw,meta', LINK_INDEX_MAX_POSTS);
+  const focusKeywords = await fetchYoastFocusKeywords(posts.map(p => p.id)).catch(() => ({}));
+  const docs = posts.map(p => {
+    const html = p.content?.rendered || '';
+    const title = decodeEntities(p.title?.rendered || '');
+    const focusKeyword = p.yoast_focuskw || focusKeywords[p.id] || p.meta?._yoast_wpseo_focuskw || '';
+    const headings = headingOutline(html).map(h => h.text);
+    const tf = {};
+    const add = (text, weight) => indexTerms(text).forEach(t => { tf[t] = (tf[t] || 0) + weight; });
+    add(title, 3);
+    add(focusKeyword, 3);
+    add(headings.join(' '), 2);
+    add(htmlToText(html), 1);
+    return { id: p.id, title, url: canonicalUrl(p.link), slug: slugKey(p.slug), date: p.date, focusKeyword, headings, tf, links: linkedSlugs(html) };
+  });
+
+  const df = {};
+  docs.forEach(d => Object.keys(d.tf).forEach(t => { df[t] = (df[t] || 0) + 1; }));
+  const idf = (t) => Math.log((docs.length + 1) / (df[t] + 1)) + 1;
+  const idBySlug = new Map(docs.map(d => [d.slug, d.id]));
+
+  return {
+    builtAt: new Date().toISOString(),
+    posts: docs.map(({ tf, links, ...d }) => {
+      const weights = Object.entries(tf).map(([t, n]) => [t, (1 + Math.log(n)) * idf(t)])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, LINK_INDEX_TERMS);
+      const norm = Math.sqrt(weights.reduce((sum, [, w]) => sum + w * w, 0)) || 1;
+      return {
+        ...d,
+        terms: Object.fromEntries(weights.map(([t, w]) => [t, Math.round((w / norm) * 1000) / 1000])),
+        linksTo: [...new Set(links.map(slug => idBySlug.get(slug)).filter(id => id !== undefined && id !== d.id))],
+      };
+    }),
+  };
+}
+
+const cosine = (a, b) => Object.entries(a).reduce((sum, [t, w]) => sum + w * (b[t] || 0), 0);
+
+// First phrase of the target that occurs in the source body → anchor + sentence
+function findAnchor(target, sourceText) {
+  const lower = sourceText.toLowerCase();
+  const titleWords = normText(target.title).split(/[^a-z0-9äöüß]+/).filter(w => w.length >= 3 && !GERMAN_STOPWORDS.has(w));
+  const phrases = [
+    ...(target.focusKeyword ? [[normText(target.focusKeyword), 'focusKeyword']] : []),
+    ...titleWords.slice(0, -1).map((w, i) => [`${w} ${titleWords[i + 1]}`, 'title']),
+    ...Object.keys(target.terms).slice(0, 5).filter(t => t.length >= 6).map(t => [t, 'term']),
+  ];
+  for (const [phrase, matchedBy] of phrases) {
+    const re = new RegExp(`(?<![a-zäöüß0-9])${escapeRegex(phrase)}(?![a-zäöüß0-9])`);
+    const m = re.exec(lower);
+    if (!m) continue;
+    const start = Math.max(0, lower.lastIndexOf('.', m.index) + 1);
+    const end = lower.indexOf('.', m.index + phrase.length);
+    return {
+      anchor: sourceText.substr(m.index, phrase.length),
+      matchedBy,
+      context: sourceText.substring(start, end === -1 ? undefined : end + 1).trim().substring(0, 240),
+    };
+  }
+  return null;
+}
+
+// ?postId= → link targets for that post; always: orphan posts (no inbound
+// link from any indexed post), sorted by views
+async function linkSuggestions(params = {}) {
+  const opts = numericOptions(params, LINK_SUGGESTION_DEFAULTS, ['limit']);
+  // Not a numericOption: 0 is valid (pure similarity ranking)
+  opts.trafficWeight = params.trafficWeight === undefined || params.trafficWeight === ''
+    ? LINK_TRAFFIC_WEIGHT
+    : parseFloat(params.trafficWeight);
+  if (!(opts.trafficWeight >= 0 && opts.trafficWeight <= 1)) throw httpError(400, 'trafficWeight must be between 0 and 1');
+  const { data: index } = await cached('linkIndex', {}, buildLinkIndex, { fresh: isFresh(params) });
+  const range = resolveRange(params, '30daysAgo', 'none');
+
+  // GA4 views per indexed post; suggestions still work without GA4
+  const views = {};
+  try {
+    const viewMap = await getViewsByChannel({ startDate: range.startDate, endDate: range.endDate });
+    const { byPost } = matchPathsToPosts(Object.keys(viewMap), index.posts);
+    Object.entries(byPost).forEach(([id, paths]) => { views[id] = paths.reduce((sum, p) => sum + viewMap[p].total, 0); });
+  } catch (err) {
+    console.error('linkSuggestions: GA4 views unavailable:', err.message);
+  }
+  const maxLogViews = Math.log1p(Math.max(0, ...Object.values(views))) || 1;
+
+  const inbound = {};
+  index.posts.forEach(p => p.linksTo.forEach(id => { inbound[id] = (inbound[id] || 0) + 1; }));
+  const brief = (p) => ({ postId: p.id, title: p.title, url: p.url, date: p.date, views: views[p.id] || 0 });
+  const orphans = index.posts.filter(p => !inbound[p.id]).map(brief).sort((a, b) => b.views - a.views);
+
+  let post = null;
+  let suggestions = [];
+  if (params.postId) {
+    const postId = parseInt(params.postId);
+    const source = index.posts.find(p => p.id === postId);
+    if (!source) throw httpError(404, `Post ${params.postId} is not in the link index (published posts only)`);
+    const article = await articleContent(postId);
+    const linked = new Set(source.linksTo);
+
+    suggestions = index.posts
+      .filter(p => p.id !== postId && !linked.has(p.id))
+      .map(p => ({ p, similarity: cosine(source.terms, p.terms) }))
+      .filter(({ similarity }) => similarity >= opts.minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, opts.limit * 5)
+      .map(({ p, similarity }) => {
+        const traffic = Math.log1p(views[p.id] || 0) / maxLogViews;
+        return {
+          ...brief(p),
+          similarity: Math.round(similarity * 1000) / 1000,
+          score: Math.round(((1 - opts.trafficWeight) * similarity + opts.trafficWeight * traffic) * 1000) / 1000,
+          inbound: inbound[p.id] || 0,
+          ...findAnchor(p, article.content),
+        };
+      })
+      .filter(s => s.anchor)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, opts.limit);
+
+    post = {
+      ...brief(source),
+      linksTo: source.linksTo.length,
+      inbound: inbound[postId] || 0,
+    };
+  }
+
+  return {
+    post,
+    suggestions,
+    orphans: orphans.slice(0, 50),
+    orphanCount: orphans.length,
+    index: { posts: index.posts.length, builtAt: index.builtAt },
+    range,
   };
+}
+
+// ─── Link-Audit-Job (kaputte Links, Redirects, goldeselblog.de) ──────────────
+// linkAudit (POST) creates a job that crawls all published posts page by page,
+// collects every <a href> and checks each distinct URL: HEAD (GET if the server
+// rejects HEAD), redirects followed by hand so the whole chain is recorded.
+// `concurrency` links are checked in parallel, one host gets at most one
+// request per `hostInterval` ms. Like reviewBatch a call works until
+// LINK_AUDIT_BUDGET_MS and is resumed with { jobId }; linkAuditJob reports.
+// The job value only holds status and progress; posts and links are spread
+// over LINK_AUDIT_CHUNKS values (links by URL hash, posts by id), so no
+// single store value grows with the size of the site.
+const LINK_AUDIT_DEFAULTS = { concurrency: 4, hostInterval: 500 };
+const LINK_AUDIT_MAX_CONCURRENCY = 10;
+const LINK_AUDIT_MAX_POSTS = 5000;
+const LINK_AUDIT_PAGE_SIZE = 50;
+const LINK_AUDIT_MAX_REDIRECTS = 5;
+const LINK_AUDIT_TIMEOUT_MS = 8000;
+const LINK_AUDIT_BUDGET_MS = 35 * 1000;   // no crawl page / link check starts later
+const LINK_AUDIT_LEASE = 90;
+const LINK_AUDIT_TTL = 7 * 24 * 60 * 60;
+const LINK_AUDIT_SAVE_EVERY = 50;         // checked links between job saves
+const LINK_AUDIT_REPORT_LIMIT = 200;      // entries per list without details=1
+const LINK_AUDIT_CHUNKS = 64;
+
+const linkAuditKey = (jobId) => `linkaudit:${currentSite().id}:${jobId}`;
+const linkAuditChunkKey = (jobId, n) => `linkaudit:${currentSite().id}:${jobId}:${n}`;
+const linkChunkOf = (url) => sha256(url).readUInt32BE(0) % LINK_AUDIT_CHUNKS;
+const latestLinkAuditKey = () => `linkaudit-latest:${currentSite().id}`;
 
-  const safeQuery = async (params) => {
+// Default HTTP layer: one request, no redirect following → { status, location }
+async function fetchLinkStatus(url, { method, timeoutMs }) {
+  const res = await fetch(url, {
+    method,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(timeoutMs),
+    headers: { 'User-Agent': 'goldesel-content-proxy link audit' },
+  });
+  await res.body?.cancel().catch(() => {});
+  return { status: res.status, location: res.headers.get('location') };
+}
+// Replaceable via module.exports.setLinkAuditHttp (tests against a stub server)
+let linkAuditHttp = fetchLinkStatus;
+
+// http(url, { method, timeoutMs }) → { status, location }
+// Every request gets at most the time left until the deadline; a link that
+// runs out of it is not reported and stays pending for the next slice.
+function createLinkChecker({ http = linkAuditHttp, concurrency, hostInterval, timeoutMs = LINK_AUDIT_TIMEOUT_MS }) {
+  const nextSlot = {};
+  const hostOf = (url) => new URL(url).host;
+  // Waits for the host's next free slot and books the one after it
+  const throttle = async (host) => {
+    const now = Date.now();
+    const at = Math.max(now, nextSlot[host] || 0);
+    nextSlot[host] = at + hostInterval;
+    if (at > now) await sleep(at - now);
+  };
+  // → { status, location }, or null once the deadline has passed
+  const send = async (url, method, deadline) => {
+    await throttle(hostOf(url));
+    const left = deadline - Date.now();
+    if (left <= 0) return null;
     try {
-      const result = await sc.searchanalytics.query(params);
-      return result;
+      return await http(url, { method, timeoutMs: Math.min(timeoutMs, left) });
     } catch (err) {
-      console.error(`GSC regex query failed for include="${includePath}" exclude="${excludeRegex}":`, err.message);
-      return { data: { rows: [] } };
+      // Cut short by the deadline, not slow by itself
+      if (err.name === 'TimeoutError' && left < timeoutMs) return null;
+      throw err;
     }
   };
+  const request = async (url, deadline) => {
+    const res = await send(url, 'HEAD', deadline);
+    if (!res || ![403, 405, 501].includes(res.status)) return res;
+    return send(url, 'GET', deadline);
+  };
 
-  const [summary, prevSummary, keywords, pages] = await Promise.all([
-    safeQuery({ siteUrl: GSC_SITE, requestBody: { startDate, endDate, dimensionFilterGroups: makeFilters() } }),
-    safeQuery({ siteUrl: GSC_SITE, requestBody: { startDate: prevStart, endDate: prevEnd, dimensionFilterGroups: makeFilters() } }),
-    safeQuery({ siteUrl: GSC_SITE, requestBody: { startDate, endDate, dimensions: ['query'], dimensionFilterGroups: makeFilters(), rowLimit: 10, orderBy: [{ fieldName: 'clicks', sortOrder: 'DESCENDING' }] } }),
-    safeQuery({ siteUrl: GSC_SITE, requestBody: { startDate, endDate, dimensions: ['page'], dimensionFilterGroups: makeFilters(), rowLimit: 10, orderBy: [{ fieldName: 'clicks', sortOrder: 'DESCENDING' }] } }),
-  ]);
+  // → { status, finalUrl, chain: [{ url, status }], error }, null if out of time
+  async function checkLink(url, { deadline = Infinity } = {}) {
+    const chain = [];
+    let current = url;
+    for (;;) {
+      let res;
+      try {
+        res = await request(current, deadline);
+      } catch (err) {
+        return { status: null, finalUrl: current, chain, error: err.name === 'TimeoutError' ? 'Timeout' : err.message };
+      }
+      if (!res) return null;
+      chain.push({ url: current, status: res.status });
+      if (res.status < 300 || res.status >= 400 || !res.location) {
+        return { status: res.status, finalUrl: current, chain, error: null };
+      }
+      const next = new URL(res.location, current).href;
+      if (chain.some(hop => hop.url === next)) return { status: res.status, finalUrl: next, chain, error: 'Redirect loop' };
+      if (chain.length > LINK_AUDIT_MAX_REDIRECTS) return { status: res.status, finalUrl: next, chain, error: 'Too many redirects' };
+      current = next;
+    }
+  }
 
-  const s = summary.data.rows?.[0] || { clicks: 0, impressions: 0, ctr: 0, position: 0 };
-  const p = prevSummary.data.rows?.[0] || { clicks: 0, impressions: 0, ctr: 0, position: 0 };
-  const deltaCalc = (c, prev) => prev === 0 ? null : Math.round(((c - prev) / prev) * 100);
+  // Checks urls until deadline; onResult(url, result) after every finished link
+  async function run(urls, { deadline, onResult }) {
+    const queue = [...urls];
+    const worker = async () => {
+      while (queue.length && Date.now() < deadline) {
+        // Prefer a link whose host is free right now, so one host doesn't stall all workers
+        const now = Date.now();
+        const ready = queue.findIndex(u => !(nextSlot[hostOf(u)] > now));
+        const [url] = queue.splice(Math.max(ready, 0), 1);
+        const result = await checkLink(url, { deadline });
+        if (result) await onResult(url, result);
+      }
+    };
+    await Promise.all(Array.from({ length: concurrency }, worker));
+  }
+
+  return { checkLink, run };
+}
+
+// Absolute http(s) URLs of all <a href> in a post, without #fragment
+function extractLinks(html, baseUrl) {
+  const urls = [...html.matchAll(/<a\b[^>]*?\bhref\s*=\s*["']([^"']*)["']/gi)]
+    .map(m => decodeEntities(m[1]).trim())
+    .filter(href => href && !href.startsWith('#') && !/^(mailto|tel|javascript|data):/i.test(href))
+    .map(href => {
+      try {
+        const url = new URL(href, baseUrl);
+        url.hash = '';
+        return /^https?:$/.test(url.protocol) ? url.href : null;
+      } catch { return null; }
+    });
+  return [...new Set(urls.filter(Boolean))];
+}
+
+const isLegacyLink = (url) => {
+  const host = new URL(url).hostname.replace(/^www\./, '');
+  return currentSite().legacyHosts.includes(host);
+};
+
+// All chunks of a job (a missing one counts as empty) → [{ posts, links }]
+async function loadLinkAuditChunks(job) {
+  const store = getStore();
+  const chunks = await Promise.all(Array.from({ length: LINK_AUDIT_CHUNKS }, (_, n) => store.get(linkAuditChunkKey(job.id, n))));
+  return chunks.map(c => c || { posts: {}, links: {} });
+}
+
+function linkAuditStatus(job, chunks, { details = false } = {}) {
+  const posts = Object.assign({}, ...chunks.map(c => c.posts));
+  const links = chunks.flatMap(c => Object.entries(c.links).map(([url, l]) => ({ url, ...l })));
+  const checked = links.filter(l => l.checkedAt);
+  const cap = (list) => (details ? list : list.slice(0, LINK_AUDIT_REPORT_LIMIT));
+  const withSources = ({ sources, checkedAt, ...l }) => ({
+    ...l,
+    sourceCount: sources.length,
+    sources: sources.slice(0, 10).map(id => ({ postId: id, ...posts[id] })),
+  });
+  const bySources = (a, b) => b.sources.length - a.sources.length;
+
+  const broken = checked.filter(l => [404, 410].includes(l.status));
+  const errors = checked.filter(l => l.error || l.status === null || (l.status >= 400 && ![404, 410].includes(l.status)));
+  const redirects = checked.filter(l => l.chain.length > 1 && !l.error);
+  const legacy = links.filter(l => isLegacyLink(l.url));
 
   return {
+    jobId: job.id,
+    status: job.status,
+    posts: job.postCount,
+    crawl: { page: job.crawl.page, totalPages: job.crawl.totalPages },
+    links: { total: links.length, checked: checked.length, pending: links.length - checked.length },
+    // Crawling counts as 0 %, the checks make up the rest
+    progress: job.status === 'crawling' ? 0 : Math.round((checked.length / (links.length || 1)) * 100),
     summary: {
-      clicks: Math.round(s.clicks),
-      impressions: Math.round(s.impressions),
-      ctr: Math.round(s.ctr * 1000) / 10,
-      position: Math.round(s.position * 10) / 10,
+      broken: broken.length,
+      errors: errors.length,
+      redirects: redirects.length,
+      redirectChains: redirects.filter(l => l.chain.length > 2).length,
+      legacy: legacy.length,
     },
-    delta: {
-      clicks: deltaCalc(s.clicks, p.clicks),
-      impressions: deltaCalc(s.impressions, p.impressions),
-      ctr: Math.round((s.ctr - p.ctr) * 1000) / 10,
-      position: Math.round((p.position - s.position) * 10) / 10,
-    },
-    keywords: keywords.data.rows?.map(r => ({
-      keyword: r.keys[0],
-      clicks: Math.round(r.clicks),
-      impressions: Math.round(r.impressions),
-      ctr: Math.round(r.ctr * 1000) / 10,
-      position: Math.round(r.position * 10) / 10,
-    })) || [],
-    pages: pages.data.rows?.map(r => ({
-      page: r.keys[0],
-      clicks: Math.round(r.clicks),
-      impressions: Math.round(r.impressions),
-      ctr: Math.round(r.ctr * 1000) / 10,
-      position: Math.round(r.position * 10) / 10,
-    })) || [],
-  };
-}
-// Debug: top pages without filter + filtered views for /news/ and /aktien/news/
-async function searchConsoleDebug() {
+    broken: cap(broken.sort(bySources).map(withSources)),
+    errors: cap(errors.sort(bySources).map(withSources)),
+    redirects: cap(redirects.sort((a, b) => b.chain.length - a.chain.length || bySources(a, b)).map(l => ({ ...withSources(l), hops: l.chain.length - 1 }))),
+    legacy: cap(legacy.sort(bySources).map(withSources)),
+    error: job.error || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt || null,
+  };
+}
+
+function createLinkAuditJob(body) {
+  const { concurrency, hostInterval } = numericOptions(body, LINK_AUDIT_DEFAULTS, ['concurrency', 'hostInterval']);
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    status: 'crawling',
+    concurrency: Math.min(concurrency, LINK_AUDIT_MAX_CONCURRENCY),
+    hostInterval,
+    crawl: { page: 0, totalPages: null },
+    postCount: 0,
+    createdAt: now,
+    updatedAt: now,
+    leaseUntil: null,
+    error: null,
+  };
+}
+
+// Crawls the next post pages, then checks pending links until the budget is
+// used → the job's chunks. A failing slice still saves its progress, releases
+// the lease and leaves the error on the job for linkAuditJob.
+async function runLinkAuditSlice(job) {
+  const store = getStore();
+  const deadline = Date.now() + LINK_AUDIT_BUDGET_MS;
+  const chunks = await loadLinkAuditChunks(job);
+  const dirty = new Set();
+  // Chunks first: a job value never points at progress that isn't stored
+  const save = async () => {
+    await Promise.all([...dirty].map(n => store.set(linkAuditChunkKey(job.id, n), chunks[n], LINK_AUDIT_TTL)));
+    dirty.clear();
+    job.updatedAt = new Date().toISOString();
+    await store.set(linkAuditKey(job.id), job, LINK_AUDIT_TTL);
+  };
+
+  try {
+    while (job.status === 'crawling' && Date.now() < deadline) {
+      const page = job.crawl.page + 1;
+      const { items, totalPages } = await wpFetchPage('posts?status=publish&orderby=id&order=asc&_fields=id,title,link,content', page, LINK_AUDIT_PAGE_SIZE);
+      items.forEach(p => {
+        const postChunk = chunks[p.id % LINK_AUDIT_CHUNKS];
+        // Already stored by a slice that stopped before saving the job
+        if (postChunk.posts[p.id]) return;
+        postChunk.posts[p.id] = { title: decodeEntities(p.title?.rendered || ''), url: canonicalUrl(p.link) };
+        dirty.add(p.id % LINK_AUDIT_CHUNKS);
+        job.postCount++;
+        extractLinks(p.content?.rendered || '', p.link).forEach(url => {
+          const { links } = chunks[linkChunkOf(url)];
+          const link = links[url] = links[url] || { sources: [], status: null, chain: [], finalUrl: null, error: null, checkedAt: null };
+          link.sources.push(p.id);
+          dirty.add(linkChunkOf(url));
+        });
+      });
+      job.crawl = { page, totalPages };
+      if (page >= totalPages || job.postCount >= LINK_AUDIT_MAX_POSTS) job.status = 'checking';
+      await save();
+    }
+
+    if (job.status === 'checking') {
+      const checker = createLinkChecker({ concurrency: job.concurrency, hostInterval: job.hostInterval });
+      const pending = chunks.flatMap(c => Object.keys(c.links).filter(url => !c.links[url].checkedAt));
+      let unsaved = 0;
+      await checker.run(pending, {
+        deadline,
+        onResult: async (url, result) => {
+          Object.assign(chunks[linkChunkOf(url)].links[url], result, { checkedAt: new Date().toISOString() });
+          dirty.add(linkChunkOf(url));
+          if (++unsaved >= LINK_AUDIT_SAVE_EVERY) {
+            unsaved = 0;
+            await save();
+          }
+        },
+      });
+      if (chunks.every(c => Object.values(c.links).every(l => l.checkedAt))) {
+        job.status = 'done';
+        job.finishedAt = new Date().toISOString();
+      }
+    }
+    job.error = null;
+  } catch (err) {
+    job.error = { message: err.message, at: new Date().toISOString() };
+    throw err;
+  } finally {
+    job.leaseUntil = null;
+    await save();
+  }
+  return chunks;
+}
+
+async function linkAudit(body = {}) {
+  const store = getStore();
+  let job;
+  if (body.jobId) {
+    job = await store.get(linkAuditKey(body.jobId));
+    if (!job) throw httpError(404, `Link audit "${body.jobId}" not found (expired?)`);
+    if (job.status === 'done') return linkAuditStatus(job, await loadLinkAuditChunks(job));
+    if (job.leaseUntil && job.leaseUntil > Date.now()) throw httpError(409, 'Link audit is already being processed');
+  } else {
+    job = createLinkAuditJob(body);
+    await store.set(latestLinkAuditKey(), job.id, LINK_AUDIT_TTL);
+  }
+
+  job.leaseUntil = Date.now() + LINK_AUDIT_LEASE * 1000;
+  await store.set(linkAuditKey(job.id), job, LINK_AUDIT_TTL);
+  const chunks = await runLinkAuditSlice(job);
+  return linkAuditStatus(job, chunks);
+}
+
+// ?jobId= (default: the site's latest audit), details=1 lists every finding
+async function linkAuditJob(params = {}) {
+  const store = getStore();
+  const jobId = params.jobId || await store.get(latestLinkAuditKey());
+  if (!jobId) throw httpError(404, 'No link audit found');
+  const job = await store.get(linkAuditKey(jobId));
+  if (!job) throw httpError(404, `Link audit "${jobId}" not found (expired?)`);
+  return linkAuditStatus(job, await loadLinkAuditChunks(job), { details: ['1', 'true'].includes(String(params.details)) });
+}
+
+// ─── Keyword-Kannibalisierung ─────────────────────────────────────────────────
+// Queries for which two or more of our URLs collect meaningful impressions.
+// A URL counts as competing with ≥ minImpressions and ≥ minShare of the
+// query's impressions. lostClicks estimates the clicks the query would get if
+// all impressions went to the strongest URL (its CTR × total impressions).
+const CANNIBALIZATION_DEFAULTS = {
+  minImpressions: 20,
+  minShare: 0.1,
+  limit: 50,
+};
+
+async function cannibalization(params = {}) {
+  const opts = numericOptions(params, CANNIBALIZATION_DEFAULTS, ['limit']);
+  if (opts.minShare >= 1) throw httpError(400, 'minShare must be below 1');
+
+  const { spec } = gscFilterSpec(params);
+  const { tables, range } = await searchConsoleReport(
+    gscFilters(spec), { range: '28daysAgo', ...params, compare: 'none' }, { rows: ['query', 'page'] }, { rowLimit: GSC_MAX_ROWS, orderBy: 'impressions', throwOnError: true }
+  );
+
+  const byQuery = new Map();
+  tables.rows.forEach(r => {
+    if (!byQuery.has(r.query)) byQuery.set(r.query, []);
+    byQuery.get(r.query).push(r);
+  });
+
+  const conflicts = [];
+  byQuery.forEach((rows, query) => {
+    const impressions = rows.reduce((sum, r) => sum + r.impressions, 0);
+    const competing = rows
+      .filter(r => r.impressions >= opts.minImpressions && r.impressions / impressions >= opts.minShare)
+      .sort((a, b) => b.clicks - a.clicks || a.position - b.position);
+    if (competing.length < 2) return;
+
+    const clicks = rows.reduce((sum, r) => sum + r.clicks, 0);
+    const primary = competing[0];
+    const positions = competing.map(r => r.position);
+    conflicts.push({
+      query,
+      impressions,
+      clicks,
+      lostClicks: Math.max(0, Math.round(impressions * (primary.ctr / 100) - clicks)),
+      positionSpread: Math.round((Math.max(...positions) - Math.min(...positions)) * 10) / 10,
+      bestPosition: Math.min(...positions),
+      pages: competing.map(r => ({
+        url: r.page,
+        clicks: r.clicks,
+        impressions: r.impressions,
+        share: Math.round((r.impressions / impressions) * 1000) / 10,
+        ctr: r.ctr,
+        position: r.position,
+      })),
+    });
+  });
+  conflicts.sort((a, b) => b.lostClicks - a.lostClicks || b.positionSpread - a.positionSpread);
+  const top = conflicts.slice(0, opts.limit);
+
+  // Join WP posts (title, focus keyword) via the URL slug
+  const slugOf = (url) => slugFromPath(normalizePagePath(url));
+  const postsBySlug = await wpFetchPostsBySlugs(
+    top.flatMap(c => c.pages.map(pg => slugOf(pg.url))).filter(Boolean)
+  ).catch(err => {
+    console.error('cannibalization: WP lookup failed:', err.message);
+    return {};
+  });
+  const focusKeywords = await fetchYoastFocusKeywords(Object.values(postsBySlug).map(p => p.id)).catch(() => ({}));
+
+  const norm = (str) => decodeEntities(String(str || '')).toLowerCase().trim();
+  const queries = top.map(c => ({
+    ...c,
+    pages: c.pages.map((pg, i) => {
+      const post = postsBySlug[slugKey(slugOf(pg.url) || '')];
+      const focusKeyword = post ? focusKeywords[post.id] || '' : '';
+      const kw = norm(focusKeyword);
+      const targetsQuery = !!kw && (norm(c.query).includes(kw) || kw.includes(norm(c.query)));
+      // Strongest URL keeps the query. Others that target it too → merge into
+      // it, others that just rank for it → re-target / de-optimise
+      const recommendation = i === 0 ? 'keep' : (targetsQuery ? 'merge' : 'retarget');
+      return {
+        ...pg,
+        postId: post?.id || null,
+        title: post ? decodeEntities(post.title.rendered) : null,
+        date: post?.date || null,
+        focusKeyword,
+        targetsQuery,
+        recommendation,
+      };
+    }),
+  }));
+
+  return {
+    count: conflicts.length,
+    lostClicks: conflicts.reduce((sum, c) => sum + c.lostClicks, 0),
+    thresholds: opts,
+    queries,
+    range,
+  };
+}
+
+// ─── Striking-Distance-Keywords ──────────────────────────────────────────────
+// Queries an article ranks for on positions minPosition–maxPosition with many
+// impressions but a CTR below maxCtr. potentialClicks assumes the article
+// reaches the top 3 (~OPPORTUNITY_TARGET_CTR). Each query is checked against
+// title, H2s, focus keyword and body text, which decides the suggested task.
+const OPPORTUNITY_DEFAULTS = {
+  minPosition: 5,
+  maxPosition: 20,
+  minImpressions: 50,
+  maxCtr: 3,           // percent
+  limit: 10,           // articles
+  perArticle: 10,      // queries per article
+};
+const OPPORTUNITY_TARGET_CTR = 0.1;
+
+// Phrase anywhere, or every word (≥ 3 chars) of the query somewhere in the text
+function queryCoverage(query, text) {
+  if (!text) return null;
+  if (text.includes(query)) return 'phrase';
+  const words = query.split(' ').filter(w => w.length >= 3);
+  return words.length && words.every(w => text.includes(w)) ? 'terms' : null;
+}
+
+function opportunityTask(q) {
+  if (!q.inText) return `Abschnitt zu „${q.query}“ ergänzen (eigene H2)`;
+  if (!q.inH2) return `„${q.query}“ in eine H2 aufnehmen und den Abschnitt ausbauen`;
+  if (!q.inTitle) return `„${q.query}“ in SEO-Title oder Meta-Description aufgreifen`;
+  return `Snippet für „${q.query}“ attraktiver machen — CTR liegt unter Erwartung`;
+}
+
+async function opportunities(params = {}) {
+  const opts = numericOptions(params, OPPORTUNITY_DEFAULTS, ['limit', 'perArticle']);
+  if (opts.minPosition > opts.maxPosition) throw httpError(400, 'minPosition must not be above maxPosition');
+
+  const { spec } = gscFilterSpec(params);
+  const { tables, range } = await searchConsoleReport(
+    gscFilters(spec), { range: '28daysAgo', ...params, compare: 'none' }, { rows: ['page', 'query'] }, { rowLimit: GSC_MAX_ROWS, orderBy: 'impressions', throwOnError: true }
+  );
+
+  const candidates = tables.rows.filter(r =>
+    r.position >= opts.minPosition && r.position <= opts.maxPosition
+    && r.impressions >= opts.minImpressions && r.ctr < opts.maxCtr
+  );
+  const byPage = new Map();
+  candidates.forEach(r => {
+    const potentialClicks = Math.max(0, Math.round(r.impressions * OPPORTUNITY_TARGET_CTR - r.clicks));
+    if (!byPage.has(r.page)) byPage.set(r.page, []);
+    byPage.get(r.page).push({ ...r, potentialClicks });
+  });
+
+  // Pages → WP posts. GSC may list several URL variants of one post; the same
+  // query via several variants keeps the one with most impressions
+  const slugOf = (url) => slugFromPath(normalizePagePath(url));
+  const postsBySlug = await wpFetchPostsBySlugs([...byPage.keys()].map(slugOf).filter(Boolean));
+  const byPost = new Map();
+  const unmatchedPages = [];
+  byPage.forEach((queries, page) => {
+    const post = postsBySlug[slugKey(slugOf(page) || '')];
+    if (!post) { unmatchedPages.push(page); return; }
+    if (!byPost.has(post.id)) byPost.set(post.id, { post, queries: new Map() });
+    const known = byPost.get(post.id).queries;
+    queries.forEach(q => {
+      if (!known.has(q.query) || known.get(q.query).impressions < q.impressions) known.set(q.query, q);
+    });
+  });
+
+  const ranked = [...byPost.values()]
+    .map(({ post, queries }) => {
+      const list = [...queries.values()];
+      return { post, queries: list, potentialClicks: list.reduce((sum, q) => sum + q.potentialClicks, 0) };
+    })
+    .sort((a, b) => b.potentialClicks - a.potentialClicks)
+    .slice(0, opts.limit);
+
+  const articles = await Promise.all(ranked.map(async ({ post, queries, potentialClicks }) => {
+    const article = await articleContent(post.id);
+    const title = normText(`${article.title} ${article.seo.seoTitle} ${article.seo.seoDescription}`);
+    const h2s = article.headings.filter(h => h.level === 'H2').map(h => decodeEntities(h.text));
+    const h2Text = normText(h2s.join(' | '));
+    const body = normText(article.content);
+    const focusKeyword = normText(article.seo.focusKeyword);
+
+    const todos = queries
+      .sort((a, b) => b.potentialClicks - a.potentialClicks)
+      .slice(0, opts.perArticle)
+      .map(({ page, ...q }) => {
+        const query = normText(q.query);
+        const coverage = {
+          inTitle: queryCoverage(query, title),
+          inH2: queryCoverage(query, h2Text),
+          inText: queryCoverage(query, body),
+          isFocusKeyword: !!focusKeyword && (query === focusKeyword || query.includes(focusKeyword)),
+        };
+        return { ...q, ...coverage, task: opportunityTask({ query: q.query, ...coverage }) };
+      });
+
+    return {
+      postId: post.id,
+      title: decodeEntities(article.title),
+      url: article.url,
+      focusKeyword: article.seo.focusKeyword,
+      h2s,
+      potentialClicks,
+      todos,
+    };
+  }));
+
+  return {
+    count: articles.length,
+    thresholds: opts,
+    articles,
+    unmatchedPages,
+    range,
+  };
+}
+
+// Debug: top pages without filter + filtered views per configured section
+async function searchConsoleDebug(params = {}) {
   const sc = getSearchConsoleClient();
-  const now = new Date();
-  const startDate = fmtDate(new Date(now.getFullYear(), now.getMonth(), 1));
-  const endDate = fmtDate(now);
+  const { startDate, endDate } = resolveRange(params, 'thisMonth', 'none');
 
   const queryPages = async (filters) => {
     try {
       const result = await sc.searchanalytics.query({
-        siteUrl: GSC_SITE,
+        siteUrl: currentSite().gscSiteUrl,
         requestBody: {
           startDate, endDate,
           dimensions: ['page'],
@@ -1110,53 +3342,553 @@ async function searchConsoleDebug() {
     }
   };
 
-  const [allPages, newsPages, aktienNewsPages] = await Promise.all([
-    queryPages(null),
-    queryPages([{ filters: [
-      { dimension: 'page', operator: 'contains', expression: '/news/' },
-      { dimension: 'page', operator: 'excludingRegex', expression: '^https://goldesel\\.de/aktien/news/' }
-    ]}]),
-    queryPages([{ filters: [
-      { dimension: 'page', operator: 'contains', expression: '/aktien/news/' }
-    ]}]),
+  // Top pages per configured section
+  const sections = Object.entries(currentSite().gscSections);
+  const [allPages, ...sectionPages] = await Promise.all([
+    queryPages(null),
+    ...sections.map(([, sec]) => queryPages(gscFilters(sec))),
+  ]);
+
+  return {
+    info: 'Debug: zeigt Top-Seiten ungefiltert + gefiltert pro Section',
+    gscSite: currentSite().gscSiteUrl,
+    dateRange: { startDate, endDate },
+    allPages,
+    sections: Object.fromEntries(sections.map(([name, sec], i) => [name, { filter: sec, pages: sectionPages[i] }])),
+  };
+}
+
+// ─── Content-Decay: Traffic-Verlust über Quartale ────────────────────────────
+// GA4 views and GSC clicks per post over the last `quarters` completed calendar
+// quarters, independent of the publish date. A metric decays when it fell in
+// each of the last ≥ minDeclines quarter-over-quarter steps, started the run
+// with ≥ minViews / minClicks and lost ≥ minDrop percent over it. Flagged
+// posts are ranked by views lost (start of the run → last quarter).
+const DECAY_DEFAULTS = {
+  quarters: 4,
+  minDeclines: 2,
+  minDrop: 20,         // percent
+  minViews: 100,
+  minClicks: 20,
+  limit: 50,
+};
+const DECAY_MAX_QUARTERS = 8;
+
+// The last n completed calendar quarters, oldest first
+function lastQuarters(n, today = utcToday()) {
+  const current = Math.floor(today.getUTCMonth() / 3);
+  return Array.from({ length: n }, (_, i) => {
+    const start = new Date(Date.UTC(today.getUTCFullYear(), (current - n + i) * 3, 1));
+    const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 3, 0));
+    return { label: `Q${start.getUTCMonth() / 3 + 1} ${start.getUTCFullYear()}`, startDate: fmtDate(start), endDate: fmtDate(end) };
+  });
+}
+
+// Trailing run of falling values → { declines, from, to, lost, drop }
+function declineRun(series) {
+  let declines = 0;
+  for (let i = series.length - 1; i > 0 && series[i] < series[i - 1]; i--) declines++;
+  const from = series[series.length - 1 - declines];
+  const to = series[series.length - 1];
+  return { declines, from, to, lost: from - to, drop: from ? Math.round(((from - to) / from) * 100) : 0 };
+}
+
+async function contentDecay(params = {}) {
+  const opts = numericOptions(params, DECAY_DEFAULTS, ['quarters', 'minDeclines', 'limit']);
+  if (opts.quarters < 2 || opts.quarters > DECAY_MAX_QUARTERS) throw httpError(400, `quarters must be between 2 and ${DECAY_MAX_QUARTERS}`);
+  if (opts.minDeclines >= opts.quarters) throw httpError(400, 'minDeclines must be lower than quarters');
+  const quarters = lastQuarters(opts.quarters);
+
+  // Clicks are optional: without Search Console only views are judged. A
+  // failed quarter would look like a drop to zero, so any error drops clicks.
+  let gscError = null;
+  const [viewMaps, clickRows] = await Promise.all([
+    Promise.all(quarters.map(q => getViewsByChannel(q))),
+    Promise.all(quarters.map(q => searchConsoleReport(
+      null, { start: q.startDate, end: q.endDate, compare: 'none' }, { rows: ['page'] }, { rowLimit: GSC_MAX_ROWS, throwOnError: true }
+    ).then(r => r.tables.rows))).catch(err => {
+      console.error('contentDecay: Search Console unavailable:', err.message);
+      gscError = err.message;
+      return quarters.map(() => []);
+    }),
+  ]);
+  const gscAvailable = !gscError;
+
+  // Sum every path / URL variant of a post per quarter
+  const bySlug = new Map();
+  const add = (pathOrUrl, metric, i, value) => {
+    const slug = slugFromPath(normalizePagePath(pathOrUrl));
+    if (!slug) return;
+    if (!bySlug.has(slug)) bySlug.set(slug, { views: quarters.map(() => 0), clicks: quarters.map(() => 0) });
+    bySlug.get(slug)[metric][i] += value;
+  };
+  viewMaps.forEach((map, i) => Object.entries(map).forEach(([path, v]) => add(path, 'views', i, v.total)));
+  clickRows.forEach((rows, i) => rows.forEach(r => add(r.page, 'clicks', i, r.clicks)));
+
+  const decays = (run, min) => run.declines >= opts.minDeclines && run.from >= min && run.drop >= opts.minDrop;
+  const flagged = [];
+  bySlug.forEach((series, slug) => {
+    const views = declineRun(series.views);
+    const clicks = declineRun(series.clicks);
+    const declining = [
+      ...(decays(views, opts.minViews) ? ['views'] : []),
+      ...(gscAvailable && decays(clicks, opts.minClicks) ? ['clicks'] : []),
+    ];
+    if (declining.length) flagged.push({ slug, series, views, clicks, declining });
+  });
+
+  // Only WP posts (no categories, pages, …), with their last modification
+  const posts = await wpFetchPostsBySlugs(flagged.map(f => f.slug), 'id,title,link,slug,date,modified');
+  const today = utcToday();
+  const byQuarter = (values) => Object.fromEntries(quarters.map((q, i) => [q.label, values[i]]));
+  const articles = flagged
+    .filter(f => posts[slugKey(f.slug)])
+    .map(({ slug, series, views, clicks, declining }) => {
+      const post = posts[slugKey(slug)];
+      return {
+        postId: post.id,
+        title: decodeEntities(post.title.rendered),
+        url: canonicalUrl(post.link),
+        date: post.date,
+        modified: post.modified,
+        daysSinceUpdate: daysBetween(parseIsoDate(post.modified.slice(0, 10)), today) - 1,
+        declining,
+        declineQuarters: Math.max(...declining.map(m => (m === 'views' ? views : clicks).declines)),
+        lostViews: Math.max(0, views.lost),
+        viewsDrop: views.drop,
+        lostClicks: gscAvailable ? Math.max(0, clicks.lost) : null,
+        clicksDrop: gscAvailable ? clicks.drop : null,
+        views: byQuarter(series.views),
+        clicks: gscAvailable ? byQuarter(series.clicks) : null,
+      };
+    })
+    .sort((a, b) => b.lostViews - a.lostViews || (b.lostClicks || 0) - (a.lostClicks || 0));
+
+  return {
+    count: articles.length,
+    lostViews: articles.reduce((sum, a) => sum + a.lostViews, 0),
+    lostClicks: gscAvailable ? articles.reduce((sum, a) => sum + a.lostClicks, 0) : null,
+    searchConsole: gscAvailable,
+    searchConsoleError: gscError,
+    thresholds: opts,
+    articles: articles.slice(0, opts.limit),
+    quarters,
+  };
+}
+
+// ─── Anomalie-Erkennung: Traffic-Alerts ──────────────────────────────────────
+// Each daily series (total, every channel, top articles) is checked against a
+// rolling baseline of the preceding `window` days using a robust z-score
+// (median + MAD), so single outliers in the baseline don't mask real drops.
+// Only complete days are evaluated (the newest is yesterday).
+const ALERT_DEFAULTS = {
+  days: 1,           // evaluated days, ending yesterday
+  window: 28,        // baseline days before each evaluated day
+  threshold: 3.5,    // |robust z| that triggers an alert
+  minBaseline: 20,   // ignore series whose baseline median is below this (noise)
+  minChange: 30,     // and deviations below this many percent
+  topArticles: 10,
+};
+const ALERT_DEDUP_TTL = 30 * 24 * 60 * 60;
+const ALERT_SEND_LOCK_TTL = 10 * 60;   // seconds a running push blocks its alerts
+
+const gaDate = (iso) => iso.replace(/-/g, '');
+const median = (arr) => {
+  const sorted = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// → { value, baseline, zScore, change } or null if the baseline is too thin
+function scoreAgainstBaseline(value, baselineValues, opts) {
+  if (baselineValues.length < Math.min(7, opts.window)) return null;
+  const base = median(baselineValues);
+  if (base < opts.minBaseline) return null;
+  // 1.4826 * MAD estimates the standard deviation for normal data
+  const spread = 1.4826 * median(baselineValues.map(v => Math.abs(v - base))) || base * 0.1;
+  const zScore = (value - base) / spread;
+  const change = Math.round(((value - base) / base) * 100);
+  return { value, baseline: Math.round(base), zScore: Math.round(zScore * 10) / 10, change };
+}
+
+function evaluateSeries(series, dates, evalDates, opts) {
+  const alerts = [];
+  evalDates.forEach(date => {
+    const i = dates.indexOf(date);
+    const baseline = series.values.slice(Math.max(0, i - opts.window), i);
+    const score = scoreAgainstBaseline(series.values[i], baseline, opts);
+    if (!score || Math.abs(score.zScore) < opts.threshold || Math.abs(score.change) < opts.minChange) return;
+    const type = score.zScore > 0 ? 'spike' : 'drop';
+    const severity = Math.abs(score.zScore) >= opts.threshold * 2 ? 'critical' : 'warning';
+    const isoDate = date.replace(/(\d{4})(\d{2})(\d{2})/, '$1-$2-$3');
+    alerts.push({
+      id: `${series.kind}:${series.name}:${isoDate}:${type}`,
+      type,
+      severity,
+      kind: series.kind,
+      name: series.name,
+      date: isoDate,
+      ...score,
+      message: `${type === 'drop' ? 'Einbruch' : 'Spike'} bei ${series.label}: ${fmtNum(score.value)} Views am ${fmtDateDe(isoDate)} `
+        + `statt ~${fmtNum(score.baseline)} (${score.change > 0 ? '+' : ''}${score.change} %)`,
+    });
+  });
+  return alerts;
+}
+
+async function alerts(params = {}) {
+  const opts = numericOptions(params, ALERT_DEFAULTS, ['days', 'window', 'topArticles']);
+  const yesterday = addDays(utcToday(), -1);
+  const startDate = fmtDate(addDays(yesterday, -(opts.window + opts.days - 1)));
+  const endDate = fmtDate(yesterday);
+  const dates = [];
+  for (let d = parseIsoDate(startDate); d <= yesterday; d = addDays(d, 1)) dates.push(gaDate(fmtDate(d)));
+  const evalDates = dates.slice(-opts.days);
+
+  const client = getGA4Client();
+  const toSeries = (kind, name, label, byDate) => ({ kind, name, label, values: dates.map(d => byDate[d] || 0) });
+
+  // 1. Total + per channel
+  const [channelResp] = await client.runReport({
+    property: currentSite().ga4PropertyId,
+    dateRanges: [{ startDate, endDate }],
+    dimensions: [{ name: 'date' }, { name: 'sessionDefaultChannelGroup' }],
+    metrics: [{ name: 'screenPageViews' }],
+    limit: 10000,
+  });
+  const total = {};
+  const channels = {};
+  channelResp.rows?.forEach(row => {
+    const [date, channel] = row.dimensionValues.map(v => v.value);
+    const views = parseInt(row.metricValues[0].value);
+    total[date] = (total[date] || 0) + views;
+    channels[channel] = channels[channel] || {};
+    channels[channel][date] = (channels[channel][date] || 0) + views;
+  });
+  const series = [
+    toSeries('total', 'total', 'Gesamt-Traffic', total),
+    ...Object.entries(channels).map(([ch, byDate]) => toSeries('channel', ch, `Kanal ${ch}`, byDate)),
+  ];
+
+  // 2. Top articles of the period (path variants merged)
+  const [topResp] = await client.runReport({
+    property: currentSite().ga4PropertyId,
+    dateRanges: [{ startDate, endDate }],
+    dimensions: [{ name: 'pagePath' }],
+    metrics: [{ name: 'screenPageViews' }],
+    dimensionFilter: { filter: { fieldName: 'pagePath', stringFilter: { matchType: 'CONTAINS', value: currentSite().newsPath } } },
+    orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+    limit: 500,
+  });
+  const variants = {};
+  const totals = {};
+  topResp.rows?.forEach(row => {
+    const raw = row.dimensionValues[0].value;
+    const norm = normalizePagePath(raw);
+    if (!norm) return;
+    (variants[norm] = variants[norm] || []).push(raw);
+    totals[norm] = (totals[norm] || 0) + parseInt(row.metricValues[0].value);
+  });
+  const topPaths = Object.keys(totals).sort((a, b) => totals[b] - totals[a]).slice(0, opts.topArticles);
+  if (topPaths.length) {
+    const [articleResp] = await client.runReport({
+      property: currentSite().ga4PropertyId,
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: 'date' }, { name: 'pagePath' }],
+      metrics: [{ name: 'screenPageViews' }],
+      dimensionFilter: { filter: { fieldName: 'pagePath', inListFilter: { values: topPaths.flatMap(p => variants[p]) } } },
+      limit: 10000,
+    });
+    const byPath = {};
+    articleResp.rows?.forEach(row => {
+      const [date, raw] = row.dimensionValues.map(v => v.value);
+      const norm = normalizePagePath(raw);
+      byPath[norm] = byPath[norm] || {};
+      byPath[norm][date] = (byPath[norm][date] || 0) + parseInt(row.metricValues[0].value);
+    });
+    topPaths.forEach(path => series.push(toSeries('article', path, `Artikel ${path}`, byPath[path] || {})));
+  }
+
+  const found = series.flatMap(sr => evaluateSeries(sr, dates, evalDates, opts))
+    .sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore));
+
+  return {
+    alerts: found,
+    checkedSeries: series.length,
+    evaluated: evalDates.map(d => d.replace(/(\d{4})(\d{2})(\d{2})/, '$1-$2-$3')),
+    baseline: { startDate, days: opts.window },
+    options: opts,
+  };
+}
+
+// Pushes alerts not sent before to ALERT_WEBHOOK_URL (Slack-compatible "text" + full list).
+// Each alert is claimed atomically first, so overlapping cron runs split the
+// alerts instead of both sending them; claims of a failed push are freed.
+async function sendAlerts(params = {}) {
+  const url = process.env.ALERT_WEBHOOK_URL;
+  if (!url) throw new Error('ALERT_WEBHOOK_URL not set');
+  const result = await alerts(params);
+  const store = getStore();
+  const sentKey = (alert) => `alert-sent:${currentSite().id}:${alert.id}`;
+
+  const fresh = [];
+  for (const alert of result.alerts) {
+    if (await store.setIfAbsent(sentKey(alert), { state: 'sending' }, ALERT_SEND_LOCK_TTL)) fresh.push(alert);
+  }
+  if (!fresh.length) return { sent: 0, suppressed: result.alerts.length, alerts: result.alerts };
+
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: `🚨 ${fresh.length} Traffic-Alert(s)\n${fresh.map(a => `• ${a.message}`).join('\n')}`,
+        alerts: fresh,
+      }),
+    });
+    if (!res.ok) throw new Error(`Alert webhook ${res.status}: ${(await res.text()).substring(0, 200)}`);
+  } catch (err) {
+    await Promise.all(fresh.map(a => store.delete(sentKey(a))));
+    throw err;
+  }
+
+  const sentAt = new Date().toISOString();
+  await Promise.all(fresh.map(a => store.set(sentKey(a), { state: 'sent', sentAt }, ALERT_DEDUP_TTL)));
+  return { sent: fresh.length, suppressed: result.alerts.length - fresh.length, alerts: result.alerts };
+}
+
+// ─── Digest: Wochen-/Monatsreport ────────────────────────────────────────────
+// weekly = last full ISO week (Mon–Sun) vs. the week before,
+// monthly = last calendar month vs. the month before
+function digestParams(period) {
+  const today = utcToday();
+  if (period === 'weekly') {
+    const thisMonday = addDays(today, -((today.getUTCDay() + 6) % 7));
+    return { start: fmtDate(addDays(thisMonday, -7)), end: fmtDate(addDays(thisMonday, -1)), compare: 'previous' };
+  }
+  if (period === 'monthly') return { range: 'lastMonth', compare: 'previous' };
+  throw httpError(400, `period must be weekly or monthly, got "${period}"`);
+}
+
+async function buildDigest(period = 'weekly') {
+  const params = digestParams(period);
+  const range = resolveRange(params);
+  const errors = {};
+  // One failing section should not kill the whole report
+  const section = (name, promise) => promise.catch(err => {
+    errors[name] = err.message;
+    return null;
+  });
+
+  const [stats, top, flop, stories, gsc] = await Promise.all([
+    section('stats', monthlyStats(params)),
+    section('top5', top5(params)),
+    section('flop5', flop5(params)),
+    section('topstories', topstories(params)),
+    section('searchConsole', searchConsoleNews(params)),
   ]);
 
+  const label = period === 'weekly' ? 'Wochenreport' : 'Monatsreport';
   return {
-    info: 'Debug: zeigt Top-Seiten ungefiltert + gefiltert für /news/ und /aktien/news/',
-    gscSite: GSC_SITE,
-    dateRange: { startDate, endDate },
-    allPages,
-    newsPages_excludingAktien: newsPages,
-    aktienNewsPages,
+    period,
+    subject: `${currentSite().name} Content-${label} ${fmtDateDe(range.startDate)} – ${fmtDateDe(range.endDate)}`,
+    range,
+    generatedAt: new Date().toISOString(),
+    stats,
+    top5: top,
+    flop5: flop,
+    topstories: stories,
+    searchConsole: gsc,
+    errors,
   };
 }
 
-// ─── AI Assist (generic prompt → Claude) ─────────────────────────────────────
-async function aiAssist(prompt, mode) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) throw new Error('ANTHROPIC_API_KEY not set on server');
+const fmtDateDe = (iso) => iso.split('-').reverse().join('.');
+const fmtNum = (n) => (n == null ? '–' : Number(n).toLocaleString('de-DE'));
+const fmtDelta = (d) => (d == null ? '–' : `${d > 0 ? '+' : ''}${d} %`);
 
-  const res = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-    },
-    body: JSON.stringify({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
-      messages: [{ role: 'user', content: prompt }],
-      system: 'Du bist ein erfahrener Finanzredakteur bei goldesel.de, einem deutschen Finanz- und Trading-Portal. Antworte auf Deutsch. Sei präzise und professionell.',
-    }),
+// WP titles arrive as rendered HTML (&#8211;, &amp; …)
+function decodeEntities(str) {
+  return String(str || '')
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(parseInt(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+const escapeHtml = (str) => String(str ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Report content as plain rows, shared by the Markdown and HTML renderers
+function digestSections(d) {
+  const sections = [];
+  if (d.stats) {
+    const metrics = [['Pageviews', 'pageviews'], ['Sessions', 'sessions'], ['Neue Nutzer', 'newUsers']];
+    sections.push({
+      title: 'Traffic',
+      head: ['Kennzahl', 'Zeitraum', 'Vorperiode', 'Δ'],
+      rows: metrics.map(([name, key]) => [name, fmtNum(d.stats.thisMonth[key]), fmtNum(d.stats.lastMonth[key]), fmtDelta(d.stats.delta?.[key])]),
+    });
+  }
+  const articleRows = (list) => list.map((a, i) => [`${i + 1}.`, { text: decodeEntities(a.title), href: a.url }, fmtNum(a.pageviews)]);
+  if (d.top5) sections.push({ title: 'Top 5 Artikel', head: ['#', 'Artikel', 'Views'], rows: articleRows(d.top5) });
+  if (d.flop5) sections.push({ title: 'Flop 5 Artikel', head: ['#', 'Artikel', 'Views'], rows: articleRows(d.flop5) });
+  if (d.topstories) {
+    sections.push({
+      title: 'Topstories',
+      intro: `${d.topstories.count} Topstories, ${fmtNum(d.topstories.totalPageviews)} Views gesamt, Ø ${fmtNum(d.topstories.avgPageviews)}`,
+      head: ['#', 'Artikel', 'Views'],
+      rows: articleRows(d.topstories.articles.slice(0, 10)),
+    });
+  }
+  if (d.searchConsole) {
+    const { summary, delta, keywords } = d.searchConsole;
+    sections.push({
+      title: `Search Console (${currentSite().newsPath})`,
+      intro: `Klicks ${fmtNum(summary.clicks)} (${fmtDelta(delta?.clicks)}), Impressionen ${fmtNum(summary.impressions)} (${fmtDelta(delta?.impressions)}), CTR ${summary.ctr} %, Ø Position ${summary.position}`,
+      head: ['Keyword', 'Klicks', 'Impressionen', 'CTR', 'Position'],
+      rows: keywords.map(k => [k.keyword, fmtNum(k.clicks), fmtNum(k.impressions), `${k.ctr} %`, k.position]),
+    });
+  }
+  Object.entries(d.errors || {}).forEach(([name, msg]) => {
+    sections.push({ title: `Fehler: ${name}`, intro: msg, rows: [] });
   });
+  return sections;
+}
 
-  if (!res.ok) {
-    const errText = await res.text();
-    throw new Error(`Claude API ${res.status}: ${errText.substring(0, 200)}`);
+function renderDigestMarkdown(d) {
+  const cell = (c) => (c && typeof c === 'object'
+    ? (c.href ? `[${c.text.replace(/[[\]]/g, '')}](${c.href})` : c.text)
+    : String(c)).replace(/\|/g, '\\|');
+  const out = [`# ${d.subject}`, ''];
+  digestSections(d).forEach(sec => {
+    out.push(`## ${sec.title}`, '');
+    if (sec.intro) out.push(sec.intro, '');
+    if (sec.rows.length) {
+      out.push(`| ${sec.head.join(' | ')} |`, `|${sec.head.map(() => '---').join('|')}|`);
+      sec.rows.forEach(r => out.push(`| ${r.map(cell).join(' | ')} |`));
+      out.push('');
+    }
+  });
+  out.push(`_Erstellt ${d.generatedAt}_`);
+  return out.join('\n');
+}
+
+// Table-based markup with inline styles — what mail clients render reliably
+function renderDigestHtml(d) {
+  const td = 'padding:6px 10px;border-bottom:1px solid #e5e5e5;text-align:left;';
+  const cell = (c) => (c && typeof c === 'object'
+    ? (c.href ? `<a href="${escapeHtml(c.href)}" style="color:#b8860b;">${escapeHtml(c.text)}</a>` : escapeHtml(c.text))
+    : escapeHtml(c));
+  const sections = digestSections(d).map(sec => {
+    const intro = sec.intro ? `<p style="margin:0 0 8px;">${escapeHtml(sec.intro)}</p>` : '';
+    const table = sec.rows.length
+      ? `<table cellpadding="0" cellspacing="0" width="100%" style="border-collapse:collapse;font-size:14px;">`
+        + `<tr>${sec.head.map(h => `<th style="${td}background:#f5f5f5;">${escapeHtml(h)}</th>`).join('')}</tr>`
+        + sec.rows.map(r => `<tr>${r.map(c => `<td style="${td}">${cell(c)}</td>`).join('')}</tr>`).join('')
+        + '</table>'
+      : '';
+    return `<h2 style="font-size:18px;margin:24px 0 8px;">${escapeHtml(sec.title)}</h2>${intro}${table}`;
+  }).join('\n');
+  return `<!DOCTYPE html>
+<html lang="de"><head><meta charset="utf-8"><title>${escapeHtml(d.subject)}</title></head>
+<body style="margin:0;padding:24px;background:#ffffff;font-family:Arial,Helvetica,sans-serif;color:#222;">
+<div style="max-width:680px;margin:0 auto;">
+<h1 style="font-size:22px;margin:0 0 16px;">${escapeHtml(d.subject)}</h1>
+${sections}
+<p style="margin-top:24px;font-size:12px;color:#888;">Erstellt ${escapeHtml(d.generatedAt)}</p>
+</div></body></html>`;
+}
+
+async function digest(period = 'weekly') {
+  const d = await buildDigest(period);
+  return { ...d, markdown: renderDigestMarkdown(d), html: renderDigestHtml(d) };
+}
+
+// DIGEST_SENDER: "webhook" (POST JSON to DIGEST_WEBHOOK_URL) or "smtp" (SMTP_URL,
+// DIGEST_FROM, DIGEST_TO). Both can point at a local stand-in (e.g. smtp://localhost:1025).
+function createDigestSender() {
+  const type = process.env.DIGEST_SENDER || 'webhook';
+  if (type === 'webhook') {
+    const url = process.env.DIGEST_WEBHOOK_URL;
+    if (!url) throw new Error('DIGEST_WEBHOOK_URL not set');
+    return {
+      type,
+      async send(report) {
+        const res = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ subject: report.subject, markdown: report.markdown, html: report.html, period: report.period, range: report.range }),
+        });
+        if (!res.ok) throw new Error(`Digest webhook ${res.status}: ${(await res.text()).substring(0, 200)}`);
+      },
+    };
+  }
+  if (type === 'smtp') {
+    const { SMTP_URL, DIGEST_FROM, DIGEST_TO } = process.env;
+    if (!SMTP_URL || !DIGEST_FROM || !DIGEST_TO) throw new Error('SMTP_URL, DIGEST_FROM and DIGEST_TO must be set');
+    const transport = require('nodemailer').createTransport(SMTP_URL);
+    return {
+      type,
+      async send(report) {
+        await transport.sendMail({
+          from: DIGEST_FROM,
+          to: DIGEST_TO.split(',').map(s => s.trim()),
+          subject: report.subject,
+          text: report.markdown,
+          html: report.html,
+        });
+      },
+    };
+  }
+  throw new Error(`Unknown DIGEST_SENDER "${type}"`);
+}
+
+// Cron entry point — sends each period's report once; force (POST only) sends
+// again. The period's key is claimed atomically before sending, so a retried
+// or doubled cron run cannot send twice; a failed send frees it again.
+const DIGEST_SENT_TTL = 62 * 24 * 60 * 60;
+const DIGEST_SEND_LOCK_TTL = 10 * 60;   // seconds a running send blocks its period
+
+async function sendDigest(period = 'weekly', { force = false } = {}) {
+  const range = resolveRange(digestParams(period));
+  const store = getStore();
+  const sentKey = `digest-sent:${currentSite().id}:${period}:${range.startDate}`;
+  if (!force && !(await store.setIfAbsent(sentKey, { state: 'sending' }, DIGEST_SEND_LOCK_TTL))) {
+    const previous = await store.get(sentKey);
+    if (previous?.state === 'sending') return { sent: false, reason: 'send in progress', period, range };
+    return { sent: false, reason: 'already sent', sentAt: previous?.sentAt || null, period, range };
   }
 
-  const json = await res.json();
+  let report;
+  let sender;
+  try {
+    sender = createDigestSender();
+    report = await digest(period);
+    await sender.send(report);
+  } catch (err) {
+    if (!force) await store.delete(sentKey);
+    throw err;
+  }
+  const sentAt = new Date().toISOString();
+  await store.set(sentKey, { state: 'sent', sentAt }, DIGEST_SENT_TTL);
+  return { sent: true, sender: sender.type, sentAt, subject: report.subject, period, range, errors: report.errors };
+}
+
+// ─── AI Assist (generic prompt → Claude) ─────────────────────────────────────
+async function aiAssist(prompt, mode) {
+  const json = await claudeMessages({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 4000,
+    messages: [{ role: 'user', content: prompt }],
+    system: currentSite().assistPrompt,
+  });
   const text = json.content?.map(b => b.text).join('\n') || '';
   return { text, mode };
 }
@@ -1197,9 +3929,7 @@ async function generateImage(prompt, style = 'vivid', size = '1792x1024') {
 
 // Upload image to WordPress Media Library
 async function uploadWPMedia(b64Data, filename, mimeType = 'image/png') {
-  const base = process.env.WP_URL;
-  const user = process.env.WP_USER;
-  const pass = process.env.WP_APP_PASS;
+  const { wpUrl: base, wpUser: user, wpAppPass: pass } = currentSite();
   const auth = Buffer.from(`${user}:${pass}`).toString('base64');
 
   const buffer = Buffer.from(b64Data, 'base64');
@@ -1246,9 +3976,7 @@ async function generateArticleImage(prompt, style = 'vivid', uploadToWP = false,
 
 // ─── Create WP Post ──────────────────────────────────────────────────────────
 async function createWPPost(title, content, status = 'draft', options = {}) {
-  const base = process.env.WP_URL;
-  const user = process.env.WP_USER;
-  const pass = process.env.WP_APP_PASS;
+  const { wpUrl: base, wpUser: user, wpAppPass: pass } = currentSite();
   const auth = Buffer.from(`${user}:${pass}`).toString('base64');
 
   const postData = {
@@ -1263,6 +3991,9 @@ async function createWPPost(title, content, status = 'draft', options = {}) {
   if (options.excerpt) postData.excerpt = options.excerpt;
   if (options.slug) postData.slug = options.slug;
   if (options.featured_media) postData.featured_media = options.featured_media;
+  // Scheduled: WP publishes it at `date`
+  if (status === 'future' && !options.date) throw httpError(400, 'status "future" requires date');
+  if (options.date) Object.assign(postData, scheduleFields(options.date));
 
   const res = await fetch(`${base}/wp-json/wp/v2/posts`, {
     method: 'POST',
@@ -1279,16 +4010,298 @@ async function createWPPost(title, content, status = 'draft', options = {}) {
   }
 
   const post = await res.json();
-  return { id: post.id, link: post.link, status: post.status, editLink: `${base}/wp-admin/post.php?post=${post.id}&action=edit` };
+  return { id: post.id, link: post.link, status: post.status, date: post.date, editLink: `${base}/wp-admin/post.php?post=${post.id}&action=edit` };
+}
+
+// ─── Update WP Post (partial) ────────────────────────────────────────────────
+// Only the fields present in the body are written. body.modified is the post's
+// `modified` timestamp from the client's last read; if WP has a newer one, the
+// post was edited in the meantime (e.g. in wp-admin) → 409 unless force: true.
+// The check is read-compare-write: an edit that lands between our read and our
+// write is still overwritten. WP core ignores If-Unmodified-Since, so the
+// window can only be kept short, not closed.
+// Yoast fields (body.yoast) need the REST snippet of applyReviewSuggestions.
+// Core fields and meta go out in one write; if WP drops meta anyway, the
+// core fields are already changed → partial write (metaWriteResult), not an error.
+const POST_UPDATE_FIELDS = {
+  title: { type: 'text', read: (p) => p.title?.raw ?? '' },
+  content: { type: 'html', read: (p) => p.content?.raw ?? '' },
+  excerpt: { type: 'text', read: (p) => p.excerpt?.raw ?? '' },
+  slug: { type: 'text', read: (p) => p.slug || '' },
+  categories: { type: 'ids', read: (p) => p.categories || [] },
+  tags: { type: 'ids', read: (p) => p.tags || [] },
+  featured_media: { type: 'id', read: (p) => p.featured_media || 0 },
+};
+
+function postUpdateValue(field, value) {
+  const { type } = POST_UPDATE_FIELDS[field];
+  if (type === 'ids') {
+    if (!Array.isArray(value) || value.some(id => !(parseInt(id) > 0))) throw httpError(400, `${field} must be a list of positive ids`);
+    return [...new Set(value.map(id => parseInt(id)))];
+  }
+  if (type === 'id') {
+    if (!(parseInt(value) >= 0)) throw httpError(400, `${field} must be a media id (0 removes the image)`);
+    return parseInt(value);
+  }
+  if (typeof value !== 'string') throw httpError(400, `${field} must be a string`);
+  if (field === 'title' && !value.trim()) throw httpError(400, 'title must not be empty');
+  return value;
+}
+
+// One diff entry per changed field; content only as size, lists as added/removed
+function fieldDiff(field, before, after) {
+  const type = POST_UPDATE_FIELDS[field]?.type || 'text';
+  if (type === 'ids') {
+    if ([...before].sort().join() === [...after].sort().join()) return null;
+    return { field, before, after, added: after.filter(id => !before.includes(id)), removed: before.filter(id => !after.includes(id)) };
+  }
+  if (before === after) return null;
+  if (type === 'html') {
+    const words = (html) => htmlToText(html).split(/\s+/).filter(Boolean).length;
+    return { field, chars: { before: before.length, after: after.length }, words: { before: words(before), after: words(after) } };
+  }
+  return { field, before, after };
+}
+
+async function updatePost(body = {}) {
+  const postId = parseInt(body.postId);
+  if (!(postId > 0)) throw httpError(400, 'postId required');
+  if (!body.modified && body.force !== true) {
+    throw httpError(400, 'modified required (the post\'s "modified" value from your last read) — or force: true');
+  }
+
+  const values = {};
+  Object.keys(POST_UPDATE_FIELDS).forEach(field => {
+    if (body[field] !== undefined) values[field] = postUpdateValue(field, body[field]);
+  });
+  const yoast = body.yoast || {};
+  const unknownYoast = Object.keys(yoast).filter(f => !YOAST_FIELDS[f]);
+  if (unknownYoast.length) throw httpError(400, `yoast accepts: ${Object.keys(YOAST_FIELDS).join(', ')}`);
+  if (!Object.keys(values).length && !Object.keys(yoast).length) {
+    throw httpError(400, `Nothing to update — send one of: ${[...Object.keys(POST_UPDATE_FIELDS), 'yoast'].join(', ')}`);
+  }
+
+  const current = await wpFetch(`posts/${postId}?context=edit&_fields=id,status,link,modified,meta,${Object.keys(POST_UPDATE_FIELDS).join(',')}`);
+  if (body.modified && body.modified !== current.modified && body.force !== true) {
+    throw httpError(409, `Post ${postId} was modified at ${current.modified} (your copy: ${body.modified}) — reload it or send force: true`);
+  }
+  const meta = current.meta || {};
+  const yoastExposed = Object.values(YOAST_FIELDS).every(f => f.meta in meta);
+  if (Object.keys(yoast).length && !yoastExposed) {
+    throw httpError(409, 'Yoast meta fields are not exposed via the WP REST API — install the snippet first');
+  }
+
+  const planned = [
+    ...Object.entries(values).map(([field, value]) => fieldDiff(field, POST_UPDATE_FIELDS[field].read(current), value)),
+    ...Object.entries(yoast).map(([field, value]) => fieldDiff(`yoast.${field}`, meta[YOAST_FIELDS[field].meta] || '', String(value).trim())),
+  ].filter(Boolean);
+  const result = { postId, dryRun: body.dryRun === true, changed: planned.length > 0, diff: planned, warnings: [], partial: false, previousModified: current.modified, modified: current.modified, url: canonicalUrl(current.link) };
+  if (result.dryRun || !planned.length) return result;
+
+  const changedFields = new Set(planned.map(d => d.field));
+  const payload = Object.fromEntries(Object.entries(values).filter(([field]) => changedFields.has(field)));
+  const yoastValues = Object.fromEntries(Object.entries(yoast)
+    .filter(([field]) => changedFields.has(`yoast.${field}`))
+    .map(([field, value]) => [YOAST_FIELDS[field].meta, String(value).trim()]));
+  if (Object.keys(yoastValues).length) payload.meta = yoastValues;
+
+  const post = await wpWrite(`posts/${postId}?context=edit`, payload);
+  const { partial, warnings } = metaWriteResult(post, yoastValues);
+
+  // Diff against what WP stored (it may sanitize e.g. the slug)
+  const diff = [
+    ...Object.keys(payload).filter(field => POST_UPDATE_FIELDS[field]).map(field => fieldDiff(field, POST_UPDATE_FIELDS[field].read(current), POST_UPDATE_FIELDS[field].read(post))),
+    ...Object.entries(yoast).filter(([field]) => changedFields.has(`yoast.${field}`))
+      .map(([field]) => fieldDiff(`yoast.${field}`, meta[YOAST_FIELDS[field].meta] || '', post.meta?.[YOAST_FIELDS[field].meta] || '')),
+  ].filter(Boolean);
+  return { ...result, changed: diff.length > 0, diff, warnings, partial, modified: post.modified, url: canonicalUrl(post.link) };
+}
+
+// ─── Redaktionskalender: Planen + Übersicht ──────────────────────────────────
+// Scheduled posts are WP status "future" with a date; WP publishes them itself.
+// Dates without Z / offset are wall-clock time of the site (site.timezone),
+// like in the WP editor. calendar lists future, draft and pending posts per
+// day or week and warns about clashes and unreviewed posts due today.
+const CALENDAR_DEFAULTS = {
+  days: 14,
+  slotMinutes: 60,     // posts within one slot compete (e.g. two topstories)
+  minScore: 70,        // aiReview score a post due today should have
+};
+const CALENDAR_MAX_DAYS = 92;
+const SCHEDULABLE_STATUSES = ['draft', 'pending', 'future'];
+
+// Wall-clock time of `date` in the site's timezone → 'YYYY-MM-DDTHH:MM:SS'
+function siteLocalTime(date = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: currentSite().timezone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+// '2026-10-20T08:00' (site time) or '2026-10-20T06:00:00Z' / '…+02:00' → Date
+function parseScheduleDate(value) {
+  const m = String(value).match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(:\d{2})?(Z|[+-]\d{2}:\d{2})?$/);
+  if (!m) throw httpError(400, `date must be an ISO date-time (YYYY-MM-DDTHH:MM, optionally with Z or ±HH:MM), got "${value}"`);
+  parseIsoDate(m[1], 'date');
+  const local = `${m[1]}T${m[2]}${m[3] || ':00'}`;
+  let date = new Date(`${local}${m[4] || 'Z'}`);
+  if (isNaN(date)) throw httpError(400, `date is not a valid date-time: "${value}"`);
+  if (!m[4]) {
+    // Shift by the site's UTC offset at that moment (second pass for DST changes)
+    const target = date.getTime();
+    for (let i = 0; i < 2; i++) date = new Date(target - (Date.parse(`${siteLocalTime(date)}Z`) - date.getTime()));
+  }
+  return date;
+}
+
+// Validated future date → WP payload field (GMT, so the site timezone can't shift it)
+function scheduleFields(value) {
+  const date = parseScheduleDate(value);
+  if (date <= Date.now()) throw httpError(400, `date must be in the future, got "${value}"`);
+  return { date_gmt: date.toISOString().slice(0, 19) };
+}
+
+// Moves a draft / pending / scheduled post to status future at body.date
+async function schedulePost(body = {}) {
+  const postId = parseInt(body.postId);
+  if (!(postId > 0)) throw httpError(400, 'postId required');
+  if (!body.date) throw httpError(400, 'date required');
+  const fields = scheduleFields(body.date);
+
+  const current = await wpFetch(`posts/${postId}?context=edit&_fields=id,status,date`);
+  if (!SCHEDULABLE_STATUSES.includes(current.status)) {
+    throw httpError(409, `Post ${postId} has status "${current.status}" — only ${SCHEDULABLE_STATUSES.join(', ')} posts can be scheduled`);
+  }
+  const post = await wpWrite(`posts/${postId}`, { status: 'future', ...fields });
+  return {
+    id: post.id,
+    title: decodeEntities(post.title?.rendered || ''),
+    status: post.status,
+    date: post.date,
+    previousStatus: current.status,
+    previousDate: current.date,
+    url: canonicalUrl(post.link),
+  };
+}
+
+// Monday of the ISO week + "KW 43"
+function isoWeekOf(day) {
+  const date = parseIsoDate(day);
+  const monday = addDays(date, -((date.getUTCDay() + 6) % 7));
+  const thursday = addDays(monday, 3);
+  const week = 1 + Math.floor((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / (7 * DAY_MS));
+  return { key: fmtDate(monday), label: `KW ${week}/${thursday.getUTCFullYear()}` };
+}
+
+// ?start=YYYY-MM-DD (default: today, site time), days, groupBy=day|week
+async function calendar(params = {}) {
+  const opts = numericOptions(params, CALENDAR_DEFAULTS, ['days', 'slotMinutes']);
+  if (opts.days > CALENDAR_MAX_DAYS) throw httpError(400, `days must be at most ${CALENDAR_MAX_DAYS}`);
+  const groupBy = params.groupBy || 'day';
+  if (!['day', 'week'].includes(groupBy)) throw httpError(400, 'groupBy must be day or week');
+  const site = currentSite();
+  const today = siteLocalTime().slice(0, 10);
+  const startDate = params.start ? fmtDate(parseIsoDate(params.start, 'start')) : today;
+  const endDate = fmtDate(addDays(parseIsoDate(startDate), opts.days - 1));
+
+  const posts = await wpFetchAll(`posts?status=${SCHEDULABLE_STATUSES.join(',')}&context=edit&orderby=date&order=asc&_fields=id,title,status,date,modified,author,categories`, 500);
+  const [authors, categories] = await Promise.all([
+    wpFetchByIds('users', posts.map(p => p.author), 'id,name,slug').catch(() => ({})),
+    wpFetchByIds('categories', posts.flatMap(p => p.categories || []), 'id,name,slug').catch(() => ({})),
+  ]);
+
+  const entries = posts.map(p => ({
+    postId: p.id,
+    title: decodeEntities(p.title?.raw ?? p.title?.rendered ?? ''),
+    status: p.status,
+    date: p.date,
+    // Like the block editor: a draft whose date follows every save was never given one
+    undated: p.status !== 'future' && (!p.date || p.date === p.modified),
+    author: authors[p.author]?.name || null,
+    categories: (p.categories || []).map(id => categories[id]?.name || String(id)),
+    topstory: !!site.topstoryCategoryId && (p.categories || []).includes(site.topstoryCategoryId),
+    editLink: `${site.wpUrl}/wp-admin/post.php?post=${p.id}&action=edit`,
+  }));
+  // Undated drafts / pending posts, and those dated before the range, have no
+  // planned date — listed apart instead of on the day they were last saved
+  const isUnscheduled = (e) => e.undated || (e.status !== 'future' && e.date.slice(0, 10) < startDate);
+  const unscheduled = entries.filter(isUnscheduled);
+  const planned = entries.filter(e => !isUnscheduled(e));
+  const inRange = planned.filter(e => e.date.slice(0, 10) >= startDate && e.date.slice(0, 10) <= endDate);
+
+  // Every day / week of the range, empty ones included
+  const periods = new Map();
+  for (let d = parseIsoDate(startDate); fmtDate(d) <= endDate; d = addDays(d, 1)) {
+    const { key, label } = groupBy === 'week' ? isoWeekOf(fmtDate(d)) : { key: fmtDate(d), label: fmtDateDe(fmtDate(d)) };
+    if (!periods.has(key)) periods.set(key, { period: key, label, count: 0, posts: [] });
+  }
+  inRange.forEach(e => {
+    const period = periods.get(groupBy === 'week' ? isoWeekOf(e.date.slice(0, 10)).key : e.date.slice(0, 10));
+    period.count += 1;
+    period.posts.push(e);
+  });
+
+  // Clashes: ≥ 2 topstories in one slot, or two posts at the very same minute
+  const conflicts = [];
+  const slots = new Map();
+  const minuteOf = (e) => parseInt(e.date.slice(11, 13)) * 60 + parseInt(e.date.slice(14, 16));
+  inRange.forEach(e => {
+    const slotStart = Math.floor(minuteOf(e) / opts.slotMinutes) * opts.slotMinutes;
+    const key = `${e.date.slice(0, 10)}T${String(Math.floor(slotStart / 60)).padStart(2, '0')}:${String(slotStart % 60).padStart(2, '0')}`;
+    if (!slots.has(key)) slots.set(key, []);
+    slots.get(key).push(e);
+  });
+  const brief = (e) => ({ postId: e.postId, title: e.title, status: e.status, date: e.date });
+  slots.forEach((slotEntries, slot) => {
+    const topstories = slotEntries.filter(e => e.topstory);
+    if (topstories.length > 1) {
+      conflicts.push({ type: 'topstories', slot, message: `${topstories.length} Topstories im selben ${opts.slotMinutes}-Minuten-Slot`, posts: topstories.map(brief) });
+    }
+    const byMinute = new Map();
+    slotEntries.forEach(e => byMinute.set(e.date.slice(0, 16), [...(byMinute.get(e.date.slice(0, 16)) || []), e]));
+    byMinute.forEach((same, minute) => {
+      if (same.length > 1) conflicts.push({ type: 'sameTime', slot: minute, message: `${same.length} Artikel um ${minute.slice(11)} Uhr`, posts: same.map(brief) });
+    });
+  });
+
+  // Due today (scheduled or waiting for approval) without a passing aiReview
+  const dueToday = planned.filter(e => e.date.slice(0, 10) === today && e.status !== 'draft');
+  const reviewWarnings = [];
+  await Promise.all(dueToday.map(async e => {
+    const history = await getReviewHistory().list(site.id, e.postId).catch(() => []);
+    const latest = history[history.length - 1];
+    if (latest && latest.score >= opts.minScore) return;
+    reviewWarnings.push({
+      ...brief(e),
+      reason: latest ? 'lowScore' : 'noReview',
+      score: latest?.score ?? null,
+      reviewedAt: latest?.reviewedAt || null,
+      message: latest ? `aiReview-Score ${latest.score} unter ${opts.minScore}` : 'Noch kein aiReview',
+    });
+  }));
+
+  return {
+    range: { startDate, endDate, days: opts.days },
+    groupBy,
+    timezone: site.timezone,
+    counts: Object.fromEntries(SCHEDULABLE_STATUSES.map(s => [s, inRange.filter(e => e.status === s).length])),
+    periods: [...periods.values()],
+    conflicts,
+    reviewWarnings: reviewWarnings.sort((a, b) => a.date.localeCompare(b.date)),
+    unscheduled,
+    thresholds: opts,
+  };
 }
 
 // ─── Delete KI-News (Aktien News) ────────────────────────────────────────────
 async function deleteAktienNews(newsCode) {
   if (!newsCode) throw new Error('newsCode (code) parameter required');
-  const apiKey = process.env.X_News_Delete_Api_Key;
+  const { id: siteId, newsDeleteUrl, newsDeleteApiKey: apiKey } = currentSite();
+  if (!newsDeleteUrl) throw httpError(400, `News delete API not configured for site "${siteId}"`);
   if (!apiKey) throw new Error('X_News_Delete_Api_Key not set in environment');
 
-  const url = `https://services.goldesel.de/api/Connection/DeleteNews?code=${encodeURIComponent(newsCode)}`;
+  const url = `${newsDeleteUrl}?code=${encodeURIComponent(newsCode)}`;
   const res = await fetch(url, {
     method: 'POST',
     headers: {
@@ -1321,18 +4334,624 @@ async function deleteAktienNews(newsCode) {
   };
 }
 
+// ─── Auth: API-Keys + Rollen ─────────────────────────────────────────────────
+// API_KEYS: JSON object {"<key>": "viewer"} or comma-separated "key1:viewer,key2:editor".
+// Clients send the key as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+const ROLE_LEVELS = { viewer: 1, editor: 2, admin: 3 };
+
+// Minimum role per action — everything not listed here is read-only (viewer)
+const ACTION_ROLES = {
+  publishPost: 'editor',
+  createPost: 'editor',
+  updatePost: 'editor',
+  schedulePost: 'editor',
+  generateImage: 'editor',
+  deleteAktienNews: 'editor',
+  aiReview: 'editor',
+  aiAssist: 'editor',
+  reviewBatch: 'editor',
+  linkAudit: 'editor',
+  applyReviewSuggestions: 'editor',
+  undoReviewSuggestions: 'editor',
+  searchconsoleDebug: 'admin',
+  matchingDebug: 'admin',
+  sendDigest: 'editor',
+  sendAlerts: 'editor',
+};
+
+// Vercel Cron sends "Authorization: Bearer $CRON_SECRET" — that token may only run these
+const CRON_ACTIONS = ['sendDigest', 'sendAlerts'];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest();
+
+let _apiKeys = null;
+function getApiKeys() {
+  if (_apiKeys) return _apiKeys;
+  const raw = (process.env.API_KEYS || '').trim();
+  if (!raw) throw new Error('API_KEYS not set');
+  const entries = raw.startsWith('{')
+    ? Object.entries(JSON.parse(raw))
+    : raw.split(',').map(s => s.trim()).filter(Boolean).map(s => {
+      const i = s.lastIndexOf(':');
+      return [s.slice(0, i), s.slice(i + 1)];
+    });
+  _apiKeys = entries.map(([key, role]) => {
+    if (!key || !ROLE_LEVELS[role]) throw new Error(`API_KEYS: invalid entry for role "${role}"`);
+    return { hash: sha256(key), role };
+  });
+  return _apiKeys;
+}
+
+// Returns the role of the presented key, or null if none/unknown
+function authenticate(req) {
+  const headers = req.headers || {};
+  const bearer = (headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  const token = (bearer ? bearer[1] : headers['x-api-key'] || '').trim();
+  if (!token) return null;
+  const hash = sha256(token);
+  if (process.env.CRON_SECRET && crypto.timingSafeEqual(sha256(process.env.CRON_SECRET), hash)) return 'cron';
+  const key = getApiKeys().find(k => crypto.timingSafeEqual(k.hash, hash));
+  return key ? key.role : null;
+}
+
+function requiredRole(action, query = {}) {
+  if (action === 'batch') {
+    // Batch is only as permissive as its strictest sub-action
+    return (query.actions || '').split(',').filter(Boolean)
+      .map(a => ACTION_ROLES[a] || 'viewer')
+      .reduce((max, r) => (ROLE_LEVELS[r] > ROLE_LEVELS[max] ? r : max), 'viewer');
+  }
+  return ACTION_ROLES[action] || 'viewer';
+}
+
+function authorize(req, action) {
+  const role = authenticate(req);
+  if (!role) throw httpError(401, 'API key missing or invalid');
+  if (role === 'cron') {
+    if (!CRON_ACTIONS.includes(action)) throw httpError(403, `Cron token may not run action "${action}"`);
+    return role;
+  }
+  const required = requiredRole(action, req.query);
+  if (ROLE_LEVELS[role] < ROLE_LEVELS[required]) {
+    throw httpError(403, `Action "${action}" requires role "${required}" (key has "${role}")`);
+  }
+  return role;
+}
+
+// CORS_ORIGINS: optional comma-separated allow-list, default "*"
+function corsOrigin(req) {
+  const allowed = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!allowed.length) return '*';
+  const origin = req.headers?.origin;
+  return allowed.includes(origin) ? origin : allowed[0];
+}
+
+// ─── Key-Value Store ─────────────────────────────────────────────────────────
+// STORE_ADAPTER: "memory" (default, lives as long as the warm instance),
+// "file" (one JSON file per key in STORE_DIR, default /tmp/goldesel-proxy) or
+// "kv" (Vercel KV / Upstash REST via KV_REST_API_URL + KV_REST_API_TOKEN).
+// Interface: get(key) → value|null, set(key, value, ttlSeconds?), delete(key),
+// setIfAbsent(key, value, ttlSeconds?) → true if stored, false if the key exists
+// (atomic: of two concurrent calls exactly one gets true).
+// Only "kv" is shared between serverless instances; memory and file stores
+// (/tmp) belong to one warm instance and forget everything on a cold start.
+function createMemoryStore() {
+  const map = new Map();
+  return {
+    async get(key) {
+      const entry = map.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt < Date.now()) { map.delete(key); return null; }
+      return entry.value;
+    },
+    async set(key, value, ttl) {
+      map.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+    },
+    async setIfAbsent(key, value, ttl) {
+      // No await between check and write → atomic within the instance
+      const entry = map.get(key);
+      if (entry && !(entry.expiresAt && entry.expiresAt < Date.now())) return false;
+      map.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+      return true;
+    },
+    async delete(key) { map.delete(key); },
+  };
+}
+
+function createFileStore(dir) {
+  const fs = require('fs/promises');
+  const path = require('path');
+  const fileFor = (key) => path.join(dir, `${sha256(key).toString('hex')}.json`);
+  // Unique per call: concurrent writes within the same millisecond must not share a temp file
+  const tmpFor = (key) => `${fileFor(key)}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  const store = {
+    async get(key) {
+      try {
+        const entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+        if (entry.expiresAt && entry.expiresAt < Date.now()) { await fs.rm(fileFor(key), { force: true }); return null; }
+        return entry.value;
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async set(key, value, ttl) {
+      await fs.mkdir(dir, { recursive: true });
+      const entry = { key, value, expiresAt: ttl ? Date.now() + ttl * 1000 : null };
+      // Write + rename so concurrent readers never see a half-written file
+      const tmp = tmpFor(key);
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, fileFor(key));
+    },
+    async setIfAbsent(key, value, ttl) {
+      await fs.mkdir(dir, { recursive: true });
+      const entry = { key, value, expiresAt: ttl ? Date.now() + ttl * 1000 : null };
+      const tmp = tmpFor(key);
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      try {
+        // link() fails with EEXIST if the key exists — atomic, and the file is complete
+        for (let attempt = 0; ; attempt++) {
+          try {
+            await fs.link(tmp, fileFor(key));
+            return true;
+          } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+            // get() removes an expired file; then claim it once more
+            if (attempt > 0 || (await store.get(key)) !== null) return false;
+          }
+        }
+      } finally {
+        await fs.rm(tmp, { force: true });
+      }
+    },
+    async delete(key) { await fs.rm(fileFor(key), { force: true }); },
+  };
+  return store;
+}
+
+// Redis-compatible REST API (Vercel KV / Upstash): one JSON command array per request
+function createKvStore(url, token) {
+  if (!url || !token) throw new Error('KV_REST_API_URL / KV_REST_API_TOKEN not set');
+  const command = async (args) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    if (!res.ok) throw new Error(`KV error: ${res.status}`);
+    return (await res.json()).result;
+  };
+  return {
+    async get(key) {
+      const raw = await command(['GET', key]);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async set(key, value, ttl) {
+      const args = ['SET', key, JSON.stringify(value)];
+      if (ttl) args.push('EX', String(Math.ceil(ttl)));
+      await command(args);
+    },
+    async setIfAbsent(key, value, ttl) {
+      const args = ['SET', key, JSON.stringify(value), 'NX'];
+      if (ttl) args.push('EX', String(Math.ceil(ttl)));
+      return (await command(args)) === 'OK';
+    },
+    async delete(key) { await command(['DEL', key]); },
+  };
+}
+
+function createStore(adapter) {
+  switch (adapter) {
+    case 'memory': return createMemoryStore();
+    case 'file': return createFileStore(process.env.STORE_DIR || '/tmp/goldesel-proxy');
+    case 'kv': return createKvStore(process.env.KV_REST_API_URL, process.env.KV_REST_API_TOKEN);
+    default: throw new Error(`Unknown store adapter "${adapter}"`);
+  }
+}
+
+let _store = null;
+function getStore() {
+  if (!_store) _store = createStore(process.env.STORE_ADAPTER || 'memory');
+  return _store;
+}
+
+// ─── Response Cache (GA4 / Search Console quota) ─────────────────────────────
+// Fresh for CACHE_TTLS[action] seconds. Expired entries are kept for another
+// CACHE_MAX_STALE seconds and served with stale: true if the refresh fails
+// (e.g. GA4 quota exhausted). ?fresh=1 bypasses the cache read.
+// CACHE_ADAPTER picks the store (memory | file | kv), CACHE_TTLS_JSON overrides TTLs.
+const CACHE_TTLS = {
+  kpis: 15 * 60,
+  sources: 15 * 60,
+  dailyPageviews: 15 * 60,
+  top5: 30 * 60,
+  flop5: 30 * 60,
+  top5New: 30 * 60,
+  flop5New: 30 * 60,
+  topstories: 30 * 60,
+  newArticles: 30 * 60,
+  monthlyStats: 60 * 60,
+  topPagesByChannel: 30 * 60,
+  topArticlesForDate: 6 * 60 * 60,
+  contentAnalysis: 6 * 60 * 60,
+  contentAttribution: 60 * 60,
+  authorStats: 60 * 60,
+  alerts: 15 * 60,
+  searchconsole: 6 * 60 * 60,
+  searchconsoleNews: 6 * 60 * 60,
+  searchconsoleAktienNews: 6 * 60 * 60,
+  cannibalization: 6 * 60 * 60,
+  opportunities: 6 * 60 * 60,
+  linkSuggestions: 60 * 60,
+  contentDecay: 12 * 60 * 60,
+  linkIndex: 6 * 60 * 60,   // internal: post index behind linkSuggestions
+};
+const CACHE_MAX_STALE = 24 * 60 * 60;
+// Query params that never change the result
+const CACHE_IGNORED_PARAMS = ['action', 'actions', 'fresh', 'format', 'table', 'delimiter', 'site'];
+
+let _cacheStore = null;
+function getCacheStore() {
+  if (!_cacheStore) _cacheStore = createStore(process.env.CACHE_ADAPTER || 'memory');
+  return _cacheStore;
+}
+
+function cacheTtl(action) {
+  const overrides = process.env.CACHE_TTLS_JSON ? JSON.parse(process.env.CACHE_TTLS_JSON) : {};
+  return overrides[action] ?? CACHE_TTLS[action] ?? 0;
+}
+
+const isFresh = (query = {}) => ['1', 'true'].includes(String(query.fresh));
+
+function cacheKey(action, params = {}) {
+  const parts = Object.keys(params)
+    .filter(k => !CACHE_IGNORED_PARAMS.includes(k) && params[k] !== undefined && params[k] !== '')
+    .sort()
+    .map(k => `${k}=${params[k]}`);
+  return `cache:${currentSite().id}:${action}:${parts.join('&')}`;
+}
+
+// Runs fn through the cache; returns { data, cache: { hit, cachedAt, stale, ttl } }
+async function cached(action, params, fn, { fresh = false } = {}) {
+  const ttl = cacheTtl(action);
+  if (!ttl) return { data: await fn(), cache: null };
+
+  const store = getCacheStore();
+  const key = cacheKey(action, params);
+  const entry = await store.get(key).catch(err => {
+    console.error('Cache read failed:', err.message);
+    return null;
+  });
+  const age = entry ? Date.now() - Date.parse(entry.cachedAt) : Infinity;
+  if (entry && !fresh && age < ttl * 1000) {
+    return { data: entry.data, cache: { hit: true, cachedAt: entry.cachedAt, stale: false, ttl } };
+  }
+
+  try {
+    const data = await fn();
+    const cachedAt = new Date().toISOString();
+    await store.set(key, { data, cachedAt }, ttl + CACHE_MAX_STALE)
+      .catch(err => console.error('Cache write failed:', err.message));
+    return { data, cache: { hit: false, cachedAt, stale: false, ttl } };
+  } catch (err) {
+    if (!entry) throw err;
+    console.error(`Refresh of ${action} failed, serving stale cache:`, err.message);
+    return { data: entry.data, cache: { hit: true, cachedAt: entry.cachedAt, stale: true, ttl, error: err.message } };
+  }
+}
+
+// ─── Mutating Actions: POST-only + Idempotency ───────────────────────────────
+// State-changing actions only run on POST with an Idempotency-Key header (or
+// body.idempotencyKey). Retrying with the same key returns the stored result
+// with replayed: true instead of publishing/deleting twice. Actions with
+// dryRun: true only preview with body.dryRun — no key, nothing stored.
+const MUTATING_ACTIONS = {
+  publishPost: { confirm: true },
+  deleteAktienNews: { confirm: true },
+  createPost: { confirm: false },
+  updatePost: { confirm: false, dryRun: true },
+  schedulePost: { confirm: false },
+  generateImage: { confirm: false },
+  // Costs a model call and appends to the review history
+  aiReview: { confirm: false },
+  reviewBatch: { confirm: false },
+  linkAudit: { confirm: false },
+  applyReviewSuggestions: { confirm: false, dryRun: true },
+  undoReviewSuggestions: { confirm: false },
+};
+const IDEMPOTENCY_TTL = 24 * 60 * 60;  // seconds a result can be replayed
+const IDEMPOTENCY_LOCK_TTL = 5 * 60;   // seconds an in-flight request blocks its key
+
+// Validates method, confirmation and key; returns the idempotency key, or null
+// for a preview
+function checkMutation(req, action, body) {
+  if (req.method !== 'POST') throw httpError(405, `Action "${action}" requires POST`);
+  if (MUTATING_ACTIONS[action].dryRun && body.dryRun === true) return null;
+  if (MUTATING_ACTIONS[action].confirm && body.confirm !== true) {
+    throw httpError(400, `Action "${action}" requires "confirm": true in the request body`);
+  }
+  const key = String(req.headers?.['idempotency-key'] || body.idempotencyKey || '').trim();
+  if (!key) throw httpError(400, `Action "${action}" requires an Idempotency-Key header`);
+  if (key.length > 200) throw httpError(400, 'Idempotency-Key too long (max 200 characters)');
+  return key;
+}
+
+// Keys only deduplicate retries that reach an instance which saw them. memory
+// and file (/tmp) are per instance, so production refuses everything but kv
+// for mutating actions (ALLOW_LOCAL_STORE=1 overrides, e.g. for a single
+// long-running server).
+let _storeWarned = false;
+function checkIdempotencyStore() {
+  const adapter = process.env.STORE_ADAPTER || 'memory';
+  const production = process.env.VERCEL_ENV === 'production' || process.env.NODE_ENV === 'production';
+  if (adapter !== 'kv' && production && process.env.ALLOW_LOCAL_STORE !== '1') {
+    throw httpError(503, `Mutating actions need a shared store in production, not "${adapter}" — set STORE_ADAPTER=kv (or ALLOW_LOCAL_STORE=1)`);
+  }
+  if (adapter !== 'kv' && !_storeWarned) {
+    _storeWarned = true;
+    console.warn(`WARNING: STORE_ADAPTER=${adapter} is per instance — retries that reach another serverless instance are NOT deduplicated. Use STORE_ADAPTER=kv.`);
+  }
+}
+
+async function withIdempotency(action, key, body, run) {
+  checkIdempotencyStore();
+  const store = getStore();
+  const storeKey = `idempotency:${currentSite().id}:${action}:${key}`;
+  const { idempotencyKey, ...payload } = body;
+  const fingerprint = sha256(JSON.stringify(payload)).toString('hex');
+
+  // Atomic claim: of two concurrent retries only one runs the action
+  const claimed = await store.setIfAbsent(storeKey, { state: 'pending', fingerprint }, IDEMPOTENCY_LOCK_TTL);
+  if (!claimed) {
+    const existing = await store.get(storeKey);
+    if (existing && existing.fingerprint !== fingerprint) {
+      throw httpError(422, 'Idempotency-Key was already used with a different request body');
+    }
+    // Missing here = the other request just failed and freed the key
+    if (!existing || existing.state === 'pending') throw httpError(409, 'A request with this Idempotency-Key is still in progress');
+    return { data: existing.data, replayed: true };
+  }
+
+  try {
+    const data = await run();
+    await store.set(storeKey, { state: 'done', fingerprint, data, completedAt: new Date().toISOString() }, IDEMPOTENCY_TTL);
+    return { data, replayed: false };
+  } catch (err) {
+    // Failed calls changed nothing (or nothing we can replay) — free the key for a retry
+    await store.delete(storeKey).catch(() => {});
+    throw err;
+  }
+}
+
+// ─── Export: CSV / XLSX ──────────────────────────────────────────────────────
+// ?format=csv|xlsx flattens an action's result into tables: an array result is
+// one table, for objects every array-valued property becomes a table (XLSX:
+// one sheet each, CSV: pick one with ?table=, default the first). Objects
+// without arrays (kpis, monthlyStats) export as a single row. Nested objects
+// become dotted columns (channels.Organic Search, delta.pageviews, cta.hasCTA).
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+function flattenRow(obj, prefix = '', out = {}) {
+  Object.entries(obj || {}).forEach(([k, v]) => {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (Array.isArray(v)) {
+      out[key] = v.map(x => (x && typeof x === 'object' ? Object.values(x).join(': ') : x)).join(', ');
+    } else if (v && typeof v === 'object') {
+      flattenRow(v, key, out);
+    } else {
+      // WP titles arrive as rendered HTML
+      out[key] = typeof v === 'string' ? decodeEntities(v) : v;
+    }
+  });
+  return out;
+}
+
+// → [{ name, columns, rows }] with rows as flat objects
+function exportTables(action, data) {
+  const toTable = (name, list) => {
+    const rows = list.map(item => (item && typeof item === 'object' ? flattenRow(item) : { value: item }));
+    const columns = [...new Set(rows.flatMap(r => Object.keys(r)))];
+    return { name, columns, rows };
+  };
+  if (Array.isArray(data)) return [toTable(action, data)];
+  const arrays = Object.entries(data || {}).filter(([, v]) => Array.isArray(v));
+  if (arrays.length) return arrays.map(([name, list]) => toTable(name, list));
+  const { range, ...rest } = data || {};
+  return [toTable(action, [rest])];
+}
+
+// Array results (top5, flop5, topPagesByChannel) carry no range — resolve it
+// from the query with the same default the action uses
+const EXPORT_THIS_MONTH_ACTIONS = new Set(['top5New', 'flop5New']);
+
+// Date part of the download filename: the result's range, else the query's
+function exportRangeLabel(action, data, query) {
+  const range = data?.range
+    || resolveRange({ ...query, compare: 'none' }, EXPORT_THIS_MONTH_ACTIONS.has(action) ? 'thisMonth' : '30daysAgo');
+  return `${range.startDate}_${range.endDate}`;
+}
+
+// Leading = + - @ (also after whitespace, and tab/CR, which Excel skips) would be
+// evaluated as formulas — only plain numbers like -12.5 stay as they are
+const csvSafe = (v) => (typeof v === 'string' && !/^-?\d+(\.\d+)?$/.test(v) && /^\s*[=+\-@]|^[\t\r]/.test(v) ? `'${v}` : v);
+
+// Sheet names: max 31 chars, no []:*?/\, unique within the workbook
+function sheetName(name, usedNames) {
+  const clean = String(name || '').replace(/[[\]:*?/\\]/g, '_') || 'Sheet';
+  let result = clean.substring(0, 31);
+  for (let i = 2; usedNames.has(result); i++) result = `${clean.substring(0, 31 - String(i).length - 1)}_${i}`;
+  usedNames.add(result);
+  return result;
+}
+
+function toCsv(table, delimiter = ',') {
+  const esc = (v) => {
+    const str = v == null ? '' : String(csvSafe(v));
+    return /["\n\r]/.test(str) || str.includes(delimiter) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const lines = [table.columns.map(esc).join(delimiter)];
+  table.rows.forEach(r => lines.push(table.columns.map(c => esc(r[c])).join(delimiter)));
+  // BOM so Excel detects UTF-8 (umlauts)
+  return '\uFEFF' + lines.join('\r\n');
+}
+
+async function toXlsx(tables) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'goldesel-content-proxy';
+  const usedNames = new Set();
+  tables.forEach(table => {
+    const sheet = workbook.addWorksheet(sheetName(table.name, usedNames));
+    sheet.columns = table.columns.map(c => ({ header: c, key: c, width: Math.min(60, Math.max(10, c.length + 2)) }));
+    table.rows.forEach(r => {
+      const row = {};
+      // toFixed() strings (rates, durations) become real numbers
+      table.columns.forEach(c => { row[c] = typeof r[c] === 'string' && /^-?\d+(\.\d+)?$/.test(r[c]) ? parseFloat(r[c]) : r[c]; });
+      sheet.addRow(row);
+    });
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+async function sendExport(res, action, data, query) {
+  const tables = exportTables(action, data);
+  const base = `${currentSite().id}-${action}_${exportRangeLabel(action, data, query)}`.replace(/[^\w.-]+/g, '-');
+  if (query.format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${base}.xlsx"`);
+    return res.status(200).send(await toXlsx(tables));
+  }
+  const table = query.table ? tables.find(t => t.name === query.table) : tables[0];
+  if (!table) throw httpError(400, `Unknown table "${query.table}". Available: ${tables.map(t => t.name).join(', ')}`);
+  const suffix = tables.length > 1 ? `_${table.name}` : '';
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${base}${suffix}.csv"`);
+  return res.status(200).send(toCsv(table, query.delimiter === ';' ? ';' : ','));
+}
+
 // ─── Vercel Config ───────────────────────────────────────────────────────────
 module.exports.config = { maxDuration: 60 };
 
+// ─── Action Dispatch ─────────────────────────────────────────────────────────
+async function runAction(action, query, body) {
+  let data;
+  switch (action) {
+    case 'batch': {
+      const actions = (query.actions || '').split(',').filter(Boolean);
+      if (!actions.length) throw new Error('actions parameter required (comma-separated)');
+      data = await batch(actions, query, { fresh: isFresh(query) });
+      break;
+    }
+    case 'top5':         data = await top5(query);              break;
+    case 'flop5':        data = await flop5(query);             break;
+    case 'top5New':      data = await top5NewThisMonth(query);  break;
+    case 'flop5New':     data = await flop5NewThisMonth(query); break;
+    case 'topstories':   data = await topstories(query);        break;
+    case 'kpis':         data = await kpis(query);              break;
+    case 'sources':      data = await sources(query);           break;
+    case 'articles':           data = await articles();              break;
+    case 'reviewCandidates':   data = await reviewCandidates();      break;
+    case 'articleContent':     data = await articleContent(query.postId); break;
+    case 'seoAudit':           data = await seoAudit(query.postId);       break;
+    case 'publishPost':        data = await publishPost(body.postId);        break;
+    case 'aiReview':           data = await aiReview(body.postId ?? query.postId); break;
+    case 'reviewBatch':        data = await reviewBatch(body);           break;
+    case 'reviewJob':          data = await reviewJob(query);            break;
+    case 'linkAudit':          data = await linkAudit(body);             break;
+    case 'linkAuditJob':       data = await linkAuditJob(query);         break;
+    case 'reviewHistory':      data = await reviewHistory(query);        break;
+    case 'applyReviewSuggestions': data = await applyReviewSuggestions(body); break;
+    case 'undoReviewSuggestions':  data = await undoReviewSuggestions(body);  break;
+    case 'aiAssist':           data = await aiAssist(body.prompt, body.mode); break;
+    case 'createPost':         data = await createWPPost(body.title, body.content, body.status || 'draft', {
+      categories: body.categories,
+      tags: body.tags,
+      excerpt: body.excerpt,
+      slug: body.slug,
+      featured_media: body.featured_media,
+      date: body.date,
+    }); break;
+    case 'updatePost':         data = await updatePost(body);            break;
+    case 'schedulePost':       data = await schedulePost(body);          break;
+    case 'calendar':           data = await calendar(query);             break;
+    case 'generateImage':      data = await generateArticleImage(body.prompt, body.style || 'vivid', body.uploadToWP !== false, body.filename || 'article-image.png'); break;
+    case 'topArticlesForDate': data = await topArticlesForDate(query.date); break;
+    case 'searchconsole':           data = await searchConsole(query);            break;
+    case 'searchconsoleNews':       data = await searchConsoleNews(query);        break;
+    case 'searchconsoleAktienNews': data = await searchConsoleAktienNews(query);  break;
+    case 'searchconsoleDebug':      data = await searchConsoleDebug(query);       break;
+    case 'cannibalization':         data = await cannibalization(query);          break;
+    case 'opportunities':           data = await opportunities(query);            break;
+    case 'linkSuggestions':         data = await linkSuggestions(query);          break;
+    case 'contentDecay':            data = await contentDecay(query);             break;
+    case 'monthlyStats': data = await monthlyStats(query);    break;
+    case 'newArticles':  data = await newArticlesThisMonth(query); break;
+    case 'dailyPageviews': data = await dailyPageviews(query); break;
+    case 'topPagesByChannel': data = await topPagesByChannel(query); break;
+    case 'contentAnalysis': data = await contentAnalysis(query); break;
+    case 'contentAttribution': data = await contentAttribution(query); break;
+    case 'matchingDebug':      data = await matchingDebug(query);      break;
+    case 'authorStats':        data = await authorStats(query);        break;
+    case 'digest':             data = await digest(query.period || 'weekly'); break;
+    case 'alerts':             data = await alerts(query);             break;
+    case 'sendAlerts':         data = await sendAlerts(query);         break;
+    case 'sendDigest':
+      // A GET (cron, link preview, reload) must never resend
+      if (query.force !== undefined) throw httpError(405, 'force is only accepted as POST body { "force": true }');
+      data = await sendDigest(query.period || body.period || 'weekly', { force: body.force === true });
+      break;
+    case 'deleteAktienNews':   data = await deleteAktienNews(body.code);     break;
+    default:
+      throw httpError(400, `Unbekannte action: "${action}". Verfügbar: top5, flop5, top5New, flop5New, topstories, kpis, sources, articles, monthlyStats, newArticles, searchconsole, searchconsoleNews, searchconsoleAktienNews, searchconsoleDebug, cannibalization, opportunities, contentDecay, linkSuggestions, linkAudit (POST), linkAuditJob, reviewCandidates, articleContent, seoAudit, publishPost (POST), aiReview (POST), reviewBatch (POST), reviewJob, reviewHistory, applyReviewSuggestions (POST), undoReviewSuggestions (POST), aiAssist (POST), createPost (POST), updatePost (POST), schedulePost (POST), calendar, generateImage (POST), deleteAktienNews (POST)`);
+  }
+  return data;
+}
+
+// Runs one action for the current site: idempotency for mutating actions,
+// response cache for reports, CSV/XLSX export
+async function respond(req, res, action, body, format) {
+  if (MUTATING_ACTIONS[action]) {
+    if (req.method !== 'POST') res.setHeader('Allow', 'POST');
+    const idempotencyKey = checkMutation(req, action, body);
+    if (!idempotencyKey) return res.status(200).json({ success: true, data: await runAction(action, req.query, body), replayed: false });
+    const { data, replayed } = await withIdempotency(action, idempotencyKey, body, () => runAction(action, req.query, body));
+    return res.status(200).json({ success: true, data, replayed });
+  }
+  if (cacheTtl(action)) {
+    const { data, cache } = await cached(action, req.query, () => runAction(action, req.query, body), { fresh: isFresh(req.query) });
+    if (format !== 'json') return sendExport(res, action, data, req.query);
+    return res.status(200).json({ success: true, data, cache });
+  }
+  const data = await runAction(action, req.query, body);
+  if (format !== 'json') return sendExport(res, action, data, req.query);
+  return res.status(200).json({ success: true, data });
+}
+
 // ─── Handler ──────────────────────────────────────────────────────────────────
 module.exports = async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Origin', corsOrigin(req));
+  res.setHeader('Vary', 'Origin');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Idempotency-Key');
   if (req.method === 'OPTIONS') return res.status(200).end();
 
   const { action } = req.query;
 
+  try {
+    authorize(req, action);
+  } catch (err) {
+    if (!err.status) console.error(err);
+    return res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+
   // ── POST body handling ──
   let body = {};
   if (req.method === 'POST') {
@@ -1341,54 +4960,43 @@ module.exports = async function handler(req, res) {
     } catch { body = {}; }
   }
 
+  const format = req.query.format || 'json';
+
   try {
-    let data;
-    switch (action) {
-      case 'batch': {
-        const actions = (req.query.actions || '').split(',').filter(Boolean);
-        if (!actions.length) throw new Error('actions parameter required (comma-separated)');
-        data = await batch(actions, req.query.range || '30daysAgo');
-        break;
-      }
-      case 'top5':         data = await top5(req.query.range || '30daysAgo');               break;
-      case 'flop5':        data = await flop5(req.query.range || '30daysAgo');              break;
-      case 'top5New':      data = await top5NewThisMonth();   break;
-      case 'flop5New':     data = await flop5NewThisMonth();  break;
-      case 'topstories':   data = await topstories();         break;
-      case 'kpis':         data = await kpis(req.query.range || '30daysAgo');               break;
-      case 'sources':      data = await sources(req.query.range || '30daysAgo');            break;
-      case 'articles':           data = await articles();              break;
-      case 'reviewCandidates':   data = await reviewCandidates();      break;
-      case 'articleContent':     data = await articleContent(req.query.postId); break;
-      case 'publishPost':        data = await publishPost(req.query.postId);   break;
-      case 'aiReview':           data = await aiReview(req.query.postId);      break;
-      case 'aiAssist':           data = await aiAssist(body.prompt, body.mode); break;
-      case 'createPost':         data = await createWPPost(body.title, body.content, body.status || 'draft', {
-        categories: body.categories,
-        tags: body.tags,
-        excerpt: body.excerpt,
-        slug: body.slug,
-        featured_media: body.featured_media,
-      }); break;
-      case 'generateImage':      data = await generateArticleImage(body.prompt, body.style || 'vivid', body.uploadToWP !== false, body.filename || 'article-image.png'); break;
-      case 'topArticlesForDate': data = await topArticlesForDate(req.query.date); break;
-      case 'searchconsole':          data = await searchConsoleNews();        break;
-      case 'searchconsoleNews':       data = await searchConsoleNews();        break;
-      case 'searchconsoleAktienNews': data = await searchConsoleAktienNews();  break;
-      case 'searchconsoleDebug':      data = await searchConsoleDebug();       break;
-      case 'monthlyStats': data = await monthlyStats();    break;
-      case 'newArticles':  data = await newArticlesThisMonth(); break;
-      case 'dailyPageviews': data = await dailyPageviews(req.query.range || '30daysAgo'); break;
-      case 'topPagesByChannel': data = await topPagesByChannel(); break;
-      case 'contentAnalysis': data = await contentAnalysis(); break;
-      case 'contentAttribution': data = await contentAttribution(); break;
-      case 'deleteAktienNews':   data = await deleteAktienNews(req.query.code); break;
-      default:
-        return res.status(400).json({ success: false, error: `Unbekannte action: "${action}". Verfügbar: top5, flop5, top5New, flop5New, topstories, kpis, sources, articles, monthlyStats, newArticles, searchconsoleNews, searchconsoleAktienNews, searchconsoleDebug, reviewCandidates, articleContent, publishPost, aiReview, aiAssist (POST), createPost (POST)` });
-    }
-    return res.status(200).json({ success: true, data });
+    if (!EXPORT_FORMATS.includes(format)) throw httpError(400, `format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    const site = getSite(req.query.site || body.site);
+    return await siteContext.run(site, () => respond(req, res, action, body, format));
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ success: false, error: err.message });
+    if (!err.status) console.error(err);
+    return res.status(err.status || 500).json({ success: false, error: err.message });
   }
 };
+
+// Test hook: run linkAudit's checks through another HTTP layer
+// (http(url, { method, timeoutMs }) → { status, location }); no argument restores fetch
+module.exports.setLinkAuditHttp = (http) => { linkAuditHttp = http || fetchLinkStatus; };
+
+// Internals, exposed for the unit tests in test/
+module.exports._internals = {
+  authorize,
+  createStore,
+  withIdempotency,
+  resolveRange,
+  groupPerformance,
+  csvSafe,
+  sheetName,
+  toCsv,
+  createStoreReviewHistory,
+  validateReview,
+  parseReview,
+  auditArticle,
+  analyzeReadability,
+  splitSentences,
+  createLinkChecker,
+  linkAudit,
+  linkAuditJob,
+  declineRun,
+  parseScheduleDate,
+  isoWeekOf,
+  fieldDiff,
+};
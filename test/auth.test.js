@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.API_KEYS = 'v-key:viewer,e-key:editor,a-key:admin';
+const { authorize } = require('../api/data.js')._internals;
+
+const req = (headers, query = {}) => ({ headers, query });
+
+test('authorize: Bearer or X-API-Key, role from API_KEYS', () => {
+  assert.equal(authorize(req({ authorization: 'Bearer v-key' }), 'top5'), 'viewer');
+  assert.equal(authorize(req({ 'x-api-key': 'e-key' }), 'publishPost'), 'editor');
+  assert.equal(authorize(req({ authorization: 'bearer a-key' }), 'searchconsoleDebug'), 'admin');
+});
+
+test('authorize: 401 without or with an unknown key, 403 below the required role', () => {
+  assert.throws(() => authorize(req({}), 'top5'), { status: 401 });
+  assert.throws(() => authorize(req({ 'x-api-key': 'nope' }), 'top5'), { status: 401 });
+  assert.throws(() => authorize(req({ 'x-api-key': 'v-key' }), 'publishPost'), { status: 403 });
+  assert.throws(() => authorize(req({ 'x-api-key': 'e-key' }), 'searchconsoleDebug'), { status: 403 });
+});
+
+test('authorize: batch needs the strictest role of its sub-actions', () => {
+  assert.equal(authorize(req({ 'x-api-key': 'v-key' }, { actions: 'top5,kpis' }), 'batch'), 'viewer');
+  assert.throws(() => authorize(req({ 'x-api-key': 'v-key' }, { actions: 'top5,aiReview' }), 'batch'), { status: 403 });
+});
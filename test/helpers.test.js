@@ -0,0 +1,255 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  resolveRange, groupPerformance, csvSafe, sheetName, toCsv, validateReview, parseReview,
+  auditArticle, analyzeReadability, splitSentences, declineRun, parseScheduleDate, isoWeekOf,
+  fieldDiff,
+} = require('../api/data.js')._internals;
+
+test('resolveRange: explicit start/end with previous, yoy and none', () => {
+  const range = resolveRange({ start: '2026-03-01', end: '2026-03-10' });
+  assert.deepEqual(range, {
+    startDate: '2026-03-01',
+    endDate: '2026-03-10',
+    days: 10,
+    compare: { mode: 'previous', startDate: '2026-02-19', endDate: '2026-02-28', days: 10 },
+  });
+  assert.deepEqual(resolveRange({ start: '2024-03-01', end: '2024-03-31', compare: 'yoy' }).compare,
+    { mode: 'yoy', startDate: '2023-03-01', endDate: '2023-03-31', days: 31 });
+  assert.equal(resolveRange({ start: '2026-03-01', compare: 'none', end: '2026-03-01' }).compare, null);
+});
+
+test('resolveRange: rejects invalid input with status 400', () => {
+  assert.throws(() => resolveRange({ start: '2026-02-30' }), { status: 400 });
+  assert.throws(() => resolveRange({ end: '2026-03-01' }), { status: 400 });
+  assert.throws(() => resolveRange({ start: '2026-03-10', end: '2026-03-01' }), { status: 400 });
+  assert.throws(() => resolveRange({ start: '2026-03-01', compare: 'custom' }), { status: 400 });
+  assert.throws(() => resolveRange({ range: 'lastYear' }), { status: 400 });
+});
+
+test('groupPerformance: weekly trend per live article, not per publishing cadence', () => {
+  const weeks = ['2026-09-07', '2026-09-14', '2026-09-21', '2026-09-28'].map(week => ({ week, partial: false }));
+  // Each post gets 100 views per week once it is live; one new post per week
+  const articles = weeks.map((w, i) => ({
+    title: `P${i}`, path: `/news/p${i}/`, pageviews: 100 * (4 - i), channels: {}, categories: [1],
+    date: `${w.week}T09:00:00`,
+    weekly: Object.fromEntries(weeks.slice(i).map(x => [x.week, 100])),
+  }));
+  const [group] = groupPerformance(articles, a => a.categories, { 1: { name: 'Gold', slug: 'gold' } }, weeks);
+  assert.deepEqual(group.trend.map(w => w.pageviews), [100, 200, 300, 400]);
+  assert.deepEqual(group.trend.map(w => w.liveArticles), [1, 2, 3, 4]);
+  assert.deepEqual(group.trend.map(w => w.pageviewsPerArticle), [100, 100, 100, 100]);
+  assert.equal(group.trendChange, 0);
+});
+
+test('csvSafe: neutralises formula prefixes, keeps negative numbers', () => {
+  assert.equal(csvSafe('=SUM(A1)'), "'=SUM(A1)");
+  assert.equal(csvSafe('+49 30'), "'+49 30");
+  assert.equal(csvSafe('@cmd'), "'@cmd");
+  assert.equal(csvSafe('-foo'), "'-foo");
+  assert.equal(csvSafe('-12.5'), '-12.5');
+  assert.equal(csvSafe(42), 42);
+  assert.equal(csvSafe('\t=1+1'), "'\t=1+1");
+  assert.equal(csvSafe('\r=1+1'), "'\r=1+1");
+  assert.equal(csvSafe("-2+3+cmd|' /C calc'!A0"), "'-2+3+cmd|' /C calc'!A0");
+  assert.equal(csvSafe(' =1+1'), "' =1+1");
+  assert.equal(csvSafe('-'), "'-");
+  assert.equal(csvSafe('Gold - Silber'), 'Gold - Silber');
+});
+
+test('sheetName: duplicates are sanitised and truncated like the first name', () => {
+  const used = new Set();
+  assert.equal(sheetName('Kategorien: Gold/Silber', used), 'Kategorien_ Gold_Silber');
+  assert.equal(sheetName('Kategorien: Gold/Silber', used), 'Kategorien_ Gold_Silber_2');
+  const long = 'Artikel [Top] * Performance? Übersicht';
+  assert.equal(sheetName(long, used), 'Artikel _Top_ _ Performance_ Üb');
+  assert.equal(sheetName(long, used), 'Artikel _Top_ _ Performance_ _2');
+  assert.equal(sheetName('', used), 'Sheet');
+  for (const name of used) assert.ok(name.length <= 31 && !/[[\]:*?/\\]/.test(name));
+});
+
+test('toCsv: BOM, quoting and delimiter', () => {
+  const table = { columns: ['title', 'views'], rows: [{ title: 'Gold, "Silber"', views: 3 }, { title: '=1+1', views: null }] };
+  assert.equal(toCsv(table), '﻿title,views\r\n"Gold, ""Silber""",3\r\n\'=1+1,');
+  assert.equal(toCsv(table, ';'), '﻿title;views\r\n"Gold, ""Silber""";3\r\n\'=1+1;');
+});
+
+test('validateReview: keeps valid values, coerces and reports the rest', () => {
+  const { review, problems } = validateReview({
+    score: '85',
+    seoScore: 70,
+    qualityScore: 140,
+    summary: 'Solide',
+    strengths: 'Klare Struktur',
+    keywordAnalysis: { inTitle: true },
+  });
+  assert.equal(review.score, 85);
+  assert.equal(review.seoScore, 70);
+  assert.equal(review.summary, 'Solide');
+  assert.deepEqual(review.strengths, ['Klare Struktur']);
+  assert.equal(review.keywordAnalysis.inTitle, true);
+  assert.ok(problems.includes('productScore: missing'));
+  assert.ok(problems.some(p => p.startsWith('score: expected')));
+  assert.ok(problems.some(p => p.startsWith('qualityScore: expected')));
+  assert.ok(problems.includes('keywordAnalysis.inH2: missing'));
+});
+
+test('validateReview: a missing nested object is one problem', () => {
+  const { review, problems } = validateReview({});
+  assert.equal(problems.filter(p => p.startsWith('keywordAnalysis')).length, 1);
+  assert.equal(typeof review.keywordAnalysis.inTitle, 'boolean');
+});
+
+test('parseReview: code fences, prose and facts', () => {
+  const raw = 'Hier das Ergebnis:\n```json\n{"score": 80, "keywordAnalysis": {"inTitle": false, "verdict": "ok"}}\n```';
+  const result = parseReview(raw, { inTitle: true, occurrences: 4 });
+  assert.equal(result.parsed, true);
+  assert.equal(result.review.score, 80);
+  assert.equal(result.review.keywordAnalysis.inTitle, true);
+  assert.equal(result.review.keywordAnalysis.occurrences, 4);
+  assert.equal(result.review.keywordAnalysis.verdict, 'ok');
+
+  const broken = parseReview('kein JSON');
+  assert.equal(broken.parsed, false);
+  assert.deepEqual(broken.problems, ['response is not valid JSON']);
+});
+
+const GERMAN_TEXT = 'Der Goldpreis ist in diesem Jahr deutlich gestiegen. Viele Anleger kaufen deshalb Barren und Münzen. '
+  + 'Allerdings schwankt der Kurs stark. Wer langfristig plant, sollte nur einen kleinen Teil des Vermögens in Gold anlegen. '
+  + 'Zudem lohnt sich ein Vergleich der Händler, denn die Aufschläge unterscheiden sich. '
+  + 'Die Lagerung wird oft vernachlässigt. Ein Bankschließfach kostet Gebühren, ein Tresor zu Hause ebenfalls.';
+
+// The readability checks have their own tests; here they are all n/a
+const UNSCORED = { scored: false, longSentences: { ratio: 0 }, longParagraphs: { count: 0 }, passiveRatio: 0, transitionWords: { ratio: 0 } };
+
+test('auditArticle: keyword placement, lengths and structure', () => {
+  const contentHtml = `<p>Gold kaufen ist einfach. ${GERMAN_TEXT}</p><h2>Gold kaufen: Tipps</h2><img src="a.jpg" alt="Barren"><img src="b.jpg">`;
+  const content = `Gold kaufen ist einfach. ${GERMAN_TEXT} Gold kaufen: Tipps`;
+  const audit = auditArticle({
+    id: 7,
+    title: 'Gold kaufen &amp; lagern',
+    url: 'https://goldesel.de/news/gold-kaufen/',
+    slug: 'gold-kaufen',
+    content,
+    contentHtml,
+    wordCount: content.split(/\s+/).length,
+    structure: { internalLinks: 1, externalLinks: 0 },
+    seo: { focusKeyword: 'Gold kaufen', seoTitle: 'Gold kaufen – Tipps für Einsteiger im Überblick', seoDescription: 'Kurz.' },
+    readability: UNSCORED,
+  });
+  const check = (id) => audit.checks.find(c => c.id === id);
+  assert.equal(audit.title, 'Gold kaufen & lagern');
+  assert.equal(check('keywordInTitle').pass, true);
+  assert.equal(check('keywordInMetaDescription').pass, false);
+  assert.equal(check('keywordInH2').pass, true);
+  assert.equal(check('keywordInFirst100Words').pass, true);
+  assert.equal(check('keywordInSlug').pass, true);
+  assert.equal(check('metaLength').pass, false);
+  assert.equal(check('imageAlt').pass, false);
+  assert.equal(check('internalLinks').pass, false);
+  assert.deepEqual(audit.images.missingAlt, ['b.jpg']);
+  assert.equal(audit.keyword.occurrences, 2);
+  assert.equal(audit.passed + audit.failed, audit.checks.filter(c => c.pass !== null).length);
+});
+
+test('auditArticle: keyword checks are n/a without a focus keyword', () => {
+  const audit = auditArticle({
+    id: 1, title: 'T', url: '', slug: 't', content: '', contentHtml: '', wordCount: 0,
+    structure: { internalLinks: 0, externalLinks: 0 },
+    seo: { focusKeyword: '', seoTitle: '', seoDescription: '' },
+    readability: UNSCORED,
+  });
+  assert.equal(audit.checks.find(c => c.id === 'keywordInTitle').pass, null);
+  assert.equal(audit.keyword, null);
+});
+
+test('analyzeReadability: German sample text', () => {
+  const r = analyzeReadability(GERMAN_TEXT, `<p>${GERMAN_TEXT}</p>`);
+  assert.equal(r.scored, true);
+  assert.equal(r.sentences, 7);
+  assert.ok(r.fleschAmstad > 0 && r.fleschAmstad <= 100);
+  assert.equal(r.passiveRatio, Math.round((1 / 7) * 1000) / 10);
+  assert.ok(r.transitionWords.top.some(t => t.word === 'deshalb'));
+  assert.equal(r.longParagraphs.count, 0);
+});
+
+test('splitSentences: ordinals and dates do not end a sentence', () => {
+  assert.deepEqual(splitSentences('Die Aktie stieg am 15. Oktober deutlich. Danach fiel sie wieder.'), [
+    'Die Aktie stieg am 15. Oktober deutlich.',
+    'Danach fiel sie wieder.',
+  ]);
+  assert.deepEqual(splitSentences('Am 3. März 2024 erreichte Gold ein Rekordhoch. Die Notenbank tagt am 1. Mai. Anleger warten ab.'), [
+    'Am 3. März 2024 erreichte Gold ein Rekordhoch.',
+    'Die Notenbank tagt am 1. Mai.',
+    'Anleger warten ab.',
+  ]);
+  assert.deepEqual(splitSentences('Das ist z. B. beim 2. Quartal so. Der Preis stieg um 3 %. Das war viel.'), [
+    'Das ist z. B. beim 2. Quartal so.',
+    'Der Preis stieg um 3 %.',
+    'Das war viel.',
+  ]);
+});
+
+test('analyzeReadability: date in a sentence does not change the count', () => {
+  const text = 'Am 3. März 2024 erreichte der Goldpreis ein Rekordhoch. ' + GERMAN_TEXT;
+  assert.equal(analyzeReadability(text).sentences, 8);
+});
+
+test('analyzeReadability: passive needs werden + participle in the same clause', () => {
+  const passiveRatio = (sentence) => analyzeReadability(`${sentence} ${GERMAN_TEXT}`).passiveRatio;
+  const base = Math.round((1 / 8) * 1000) / 10;
+  assert.equal(passiveRatio('Ich würde morgen lieber nach Hause gehen.'), base);
+  assert.equal(passiveRatio('Ich würde das nie gekauft haben.'), base);
+  assert.equal(passiveRatio('Der Goldpreis wird trotz der gestern gemeldeten Zahlen weiter steigen.'), base);
+  assert.equal(passiveRatio('Das Wetter wird morgen besser, weil der Wind gedreht hat.'), base);
+  assert.equal(passiveRatio('Der Vertrag wird nächste Woche von beiden Seiten geprüft.'), Math.round((2 / 8) * 1000) / 10);
+  assert.equal(passiveRatio('Der Kurs fiel, nachdem die Zahlen veröffentlicht wurden.'), Math.round((2 / 8) * 1000) / 10);
+});
+
+test('analyzeReadability: short texts are not scored', () => {
+  const r = analyzeReadability('Kurzer Text.');
+  assert.equal(r.scored, false);
+  assert.equal(r.fleschAmstad, null);
+});
+
+test('declineRun: counts only the trailing run of falling values', () => {
+  assert.deepEqual(declineRun([1000, 800, 500, 300]), { declines: 3, from: 1000, to: 300, lost: 700, drop: 70 });
+  assert.deepEqual(declineRun([500, 600, 400, 350]), { declines: 2, from: 600, to: 350, lost: 250, drop: 42 });
+  assert.deepEqual(declineRun([100, 90, 95]), { declines: 0, from: 95, to: 95, lost: 0, drop: 0 });
+  assert.deepEqual(declineRun([0, 0]), { declines: 0, from: 0, to: 0, lost: 0, drop: 0 });
+});
+
+test('parseScheduleDate: site time (Europe/Berlin) incl. daylight saving time', () => {
+  assert.equal(parseScheduleDate('2030-01-15T08:00').toISOString(), '2030-01-15T07:00:00.000Z');
+  assert.equal(parseScheduleDate('2030-07-15T08:00:30').toISOString(), '2030-07-15T06:00:30.000Z');
+  assert.equal(parseScheduleDate('2030-07-15 08:00').toISOString(), '2030-07-15T06:00:00.000Z');
+});
+
+test('parseScheduleDate: explicit offsets are absolute', () => {
+  assert.equal(parseScheduleDate('2030-07-15T08:00:00Z').toISOString(), '2030-07-15T08:00:00.000Z');
+  assert.equal(parseScheduleDate('2030-07-15T08:00+05:00').toISOString(), '2030-07-15T03:00:00.000Z');
+});
+
+test('parseScheduleDate: rejects malformed and impossible dates', () => {
+  assert.throws(() => parseScheduleDate('morgen'), { status: 400 });
+  assert.throws(() => parseScheduleDate('2030-02-30T08:00'), { status: 400 });
+  assert.throws(() => parseScheduleDate('2030-07-15'), { status: 400 });
+});
+
+test('isoWeekOf: Monday and ISO week number, also across the year boundary', () => {
+  assert.deepEqual(isoWeekOf('2026-10-21'), { key: '2026-10-19', label: 'KW 43/2026' });
+  assert.deepEqual(isoWeekOf('2026-10-19'), { key: '2026-10-19', label: 'KW 43/2026' });
+  assert.deepEqual(isoWeekOf('2027-01-01'), { key: '2026-12-28', label: 'KW 53/2026' });
+  assert.deepEqual(isoWeekOf('2024-12-31'), { key: '2024-12-30', label: 'KW 1/2025' });
+});
+
+test('fieldDiff: text, lists and content', () => {
+  assert.equal(fieldDiff('title', 'A', 'A'), null);
+  assert.deepEqual(fieldDiff('title', 'Alt', 'Neu'), { field: 'title', before: 'Alt', after: 'Neu' });
+  assert.equal(fieldDiff('categories', [1, 2], [2, 1]), null);
+  assert.deepEqual(fieldDiff('categories', [1, 2], [2, 3]), { field: 'categories', before: [1, 2], after: [2, 3], added: [3], removed: [1] });
+  assert.deepEqual(fieldDiff('content', '<p>eins zwei</p>', '<p>eins zwei drei</p>'),
+    { field: 'content', chars: { before: 16, after: 21 }, words: { before: 2, after: 3 } });
+  assert.deepEqual(fieldDiff('yoast.title', 'T', 'T2'), { field: 'yoast.title', before: 'T', after: 'T2' });
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs/promises');
+
+const { createStore, createLinkChecker, linkAudit, linkAuditJob } = require('../api/data.js')._internals;
+
+// Stub server for both WordPress (the posts to crawl) and the linked pages
+const REDIRECTS = { '/r1': [301, '/r2'], '/r2': [302, '/ok'], '/loop-a': [301, '/loop-b'], '/loop-b': [301, '/loop-a'] };
+let server;
+let base;
+let posts = [];
+let wpDown = false;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://stub');
+    if (pathname === '/wp-json/wp/v2/posts') {
+      if (wpDown) {
+        res.writeHead(500);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-WP-TotalPages': '1' });
+      return res.end(JSON.stringify(posts));
+    }
+    if (REDIRECTS[pathname]) {
+      const [status, location] = REDIRECTS[pathname];
+      res.writeHead(status, { Location: location });
+      return res.end();
+    }
+    if (pathname === '/slow') return;   // never answers
+    if (pathname === '/no-head') {
+      res.writeHead(req.method === 'HEAD' ? 405 : 200);
+      return res.end();
+    }
+    res.writeHead(pathname === '/ok' ? 200 : 404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const { port } = server.address();
+  base = `http://127.0.0.1:${port}`;
+  // localhost plays the legacy domain; read on the first currentSite() call
+  process.env.SITES_JSON = JSON.stringify({ test: { wpUrl: base, wpUser: 'u', wpAppPass: 'p', legacyHosts: ['localhost'] } });
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const checker = (opts = {}) => createLinkChecker({ concurrency: 2, hostInterval: 1, ...opts });
+
+test('checkLink: ok, broken, HEAD rejected', async () => {
+  const ok = await checker().checkLink(`${base}/ok`);
+  assert.deepEqual(ok, { status: 200, finalUrl: `${base}/ok`, chain: [{ url: `${base}/ok`, status: 200 }], error: null });
+  assert.equal((await checker().checkLink(`${base}/missing`)).status, 404);
+  assert.equal((await checker().checkLink(`${base}/no-head`)).status, 200);
+});
+
+test('checkLink: redirect chain and loop', async () => {
+  const chain = await checker().checkLink(`${base}/r1`);
+  assert.equal(chain.status, 200);
+  assert.equal(chain.finalUrl, `${base}/ok`);
+  assert.deepEqual(chain.chain.map(hop => hop.status), [301, 302, 200]);
+
+  const loop = await checker().checkLink(`${base}/loop-a`);
+  assert.equal(loop.error, 'Redirect loop');
+  assert.deepEqual(loop.chain.map(hop => hop.url), [`${base}/loop-a`, `${base}/loop-b`]);
+});
+
+test('checkLink: timeout', async () => {
+  const result = await checker({ timeoutMs: 200 }).checkLink(`${base}/slow`);
+  assert.equal(result.status, null);
+  assert.equal(result.error, 'Timeout');
+});
+
+test('run: a request never outlasts the deadline, the link stays unreported', async () => {
+  const results = [];
+  const started = Date.now();
+  await checker().run([`${base}/slow`], { deadline: Date.now() + 300, onResult: (url, result) => results.push(result) });
+  assert.ok(Date.now() - started < 2000);
+  assert.deepEqual(results, []);
+});
+
+test('linkAudit: report from a crawl, results stored in chunks', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'proxy-linkaudit-'));
+  process.env.STORE_ADAPTER = 'file';
+  process.env.STORE_DIR = dir;
+  posts = [
+    { id: 1, title: { rendered: 'Gold &amp; Silber' }, link: `${base}/news/gold/`, content: { rendered:
+      `<a href="/ok">a</a> <a href="${base}/missing">b</a> <a href="/r1#top">c</a> <a href="http://localhost:${server.address().port}/ok">d</a> <a href="mailto:x@y.de">e</a>` } },
+    { id: 2, title: { rendered: 'Bitcoin' }, link: `${base}/news/bitcoin/`, content: { rendered:
+      '<a href="/loop-a">a</a> <a href="/missing">b</a> <a href="/no-head">c</a>' } },
+  ];
+  try {
+    const report = await linkAudit({ hostInterval: 1 });
+    assert.equal(report.status, 'done');
+    assert.equal(report.posts, 2);
+    assert.deepEqual(report.links, { total: 6, checked: 6, pending: 0 });
+    assert.deepEqual(report.summary, { broken: 1, errors: 1, redirects: 1, redirectChains: 1, legacy: 1 });
+    assert.equal(report.broken[0].url, `${base}/missing`);
+    assert.deepEqual(report.broken[0].sources.map(s => s.postId).sort(), [1, 2]);
+    assert.equal(report.broken[0].sources.find(s => s.postId === 1).title, 'Gold & Silber');
+    assert.equal(report.errors[0].error, 'Redirect loop');
+    assert.equal(report.redirects[0].url, `${base}/r1`);
+    assert.equal(report.redirects[0].hops, 2);
+    assert.match(report.legacy[0].url, /^http:\/\/localhost:/);
+
+    // The job value holds no links; linkAuditJob reads them back from the chunks
+    const job = await createStore('file').get(`linkaudit:test:${report.jobId}`);
+    assert.equal(job.links, undefined);
+    assert.equal(job.postCount, 2);
+    assert.deepEqual((await linkAuditJob({ jobId: report.jobId })).summary, report.summary);
+  } finally {
+    delete process.env.STORE_ADAPTER;
+    delete process.env.STORE_DIR;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('linkAudit: a failed slice releases the lease and reports the error', async () => {
+  posts = [{ id: 3, title: { rendered: 'Silber' }, link: `${base}/news/silber/`, content: { rendered: '<a href="/ok">a</a>' } }];
+  wpDown = true;
+  try {
+    await assert.rejects(linkAudit({ hostInterval: 1 }), /WP error: 500/);
+    const failed = await linkAuditJob();
+    assert.equal(failed.status, 'crawling');
+    assert.match(failed.error.message, /WP error: 500/);
+
+    // No 409: the lease was released, the next call resumes the job
+    wpDown = false;
+    const report = await linkAudit({ jobId: failed.jobId, hostInterval: 1 });
+    assert.equal(report.status, 'done');
+    assert.equal(report.error, null);
+  } finally {
+    wpDown = false;
+  }
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs/promises');
+
+const { createStore, withIdempotency, createStoreReviewHistory } = require('../api/data.js')._internals;
+
+test('memory store: setIfAbsent claims a key once, again after expiry', async () => {
+  const store = createStore('memory');
+  assert.equal(await store.setIfAbsent('k', 1, 60), true);
+  assert.equal(await store.setIfAbsent('k', 2, 60), false);
+  assert.equal(await store.get('k'), 1);
+
+  await store.set('old', 1, 0.001);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(await store.setIfAbsent('old', 2, 60), true);
+  assert.equal(await store.get('old'), 2);
+});
+
+test('file store: concurrent setIfAbsent → exactly one winner', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'proxy-store-'));
+  process.env.STORE_DIR = dir;
+  try {
+    const store = createStore('file');
+    const results = await Promise.all(Array.from({ length: 5 }, (_, i) => store.setIfAbsent('k', i, 60)));
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(await store.get('k'), results.indexOf(true));
+
+    await store.set('old', 1, 0.001);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(await store.setIfAbsent('old', 2, 60), true);
+    assert.equal(await store.get('old'), 2);
+    assert.deepEqual((await fs.readdir(dir)).filter(f => f.endsWith('.tmp')), []);
+  } finally {
+    delete process.env.STORE_DIR;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('withIdempotency: concurrent retries run the action once', async () => {
+  let runs = 0;
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const action = async () => { runs += 1; await gate; return { id: 1 }; };
+
+  const first = withIdempotency('publishPost', 'key-1', { postId: 1 }, action);
+  const second = withIdempotency('publishPost', 'key-1', { postId: 1 }, action);
+  await assert.rejects(second, { status: 409 });
+  release();
+  assert.deepEqual(await first, { data: { id: 1 }, replayed: false });
+  assert.equal(runs, 1);
+
+  assert.deepEqual(await withIdempotency('publishPost', 'key-1', { postId: 1 }, action), { data: { id: 1 }, replayed: true });
+  await assert.rejects(withIdempotency('publishPost', 'key-1', { postId: 2 }, action), { status: 422 });
+  assert.equal(runs, 1);
+});
+
+test('withIdempotency: refuses per-instance stores in production', async () => {
+  process.env.VERCEL_ENV = 'production';
+  try {
+    await assert.rejects(withIdempotency('createPost', 'key-2', {}, async () => ({})), { status: 503 });
+    process.env.STORE_ADAPTER = 'file';
+    await assert.rejects(withIdempotency('createPost', 'key-2', {}, async () => ({})), { status: 503, message: /"file"/ });
+    delete process.env.STORE_ADAPTER;
+    process.env.ALLOW_LOCAL_STORE = '1';
+    assert.deepEqual(await withIdempotency('createPost', 'key-2', {}, async () => ({ ok: true })), { data: { ok: true }, replayed: false });
+  } finally {
+    delete process.env.VERCEL_ENV;
+    delete process.env.STORE_ADAPTER;
+    delete process.env.ALLOW_LOCAL_STORE;
+  }
+});
+
+test('store review history: concurrent appends keep every entry', async () => {
+  const store = createStore('memory');
+  const history = createStoreReviewHistory(store);
+  await Promise.all(Array.from({ length: 5 }, (_, i) => history.append('site', 1, { id: i })));
+  assert.deepEqual((await history.list('site', 1)).map(e => e.id).sort(), [0, 1, 2, 3, 4]);
+  assert.equal(await store.get('reviews:site:1:lock'), null);
+});